@@ -21,6 +21,69 @@ let coreInstance = cache.get('core');
 let documentTypeMap = {};
 let documentTypes = null;
 
+// The document type option for classifying documents before processing, and
+// the tab of documents that can't be classified.
+const AutoDetect = 'Auto-detect';
+const UnclassifiedTabId = 'Unclassified';
+
+// The hidden tab of content hashes of processed documents, for marking
+// re-uploaded documents as duplicates.
+const ContentHashesTabId = 'Content Hashes';
+
+// Columns of the tabs written by extensions and deduplication, as property keys
+// and column names.
+// Missing tabs are created with these header rows, see createPluginTabs().
+const PluginTabColumns = {
+  'Review': [
+    ['resultId', 'Result ID'],
+    ['datasetId', 'Tab'],
+    ['label', 'Label'],
+    ['url', 'Document'],
+    ['pageNumber', 'Page'],
+    ['field', 'Field'],
+    ['value', 'Extracted Value'],
+    ['confidence', 'Confidence'],
+    ['validationError', 'Validation Error'],
+    ['correctedValue', 'Corrected Value'],
+    ['approved', 'Approved'],
+    ['reviewStatus', 'Review Status'],
+    ['reviewer', 'Reviewer'],
+    ['reviewedTimestamp', 'Reviewed'],
+  ],
+  'Review Audit': [
+    ['resultId', 'Result ID'],
+    ['datasetId', 'Tab'],
+    ['field', 'Field'],
+    ['originalValue', 'Original Value'],
+    ['correctedValue', 'Corrected Value'],
+    ['reviewer', 'Reviewer'],
+    ['reviewedTimestamp', 'Reviewed'],
+  ],
+  'Unclassified': [
+    ['id', 'ID'],
+    ['status', 'Status'],
+    ['label', 'Label'],
+    ['url', 'Document'],
+    ['docai.data.documentClass', 'Document Class'],
+    ['docai.data.confidence', 'Confidence'],
+    ['docai.data.pages', 'Pages'],
+    ['docai.data.pageUrl', 'Page'],
+    ['createdTimestamp', 'Created'],
+    ['errors', 'Errors'],
+  ],
+  'Content Hashes': [
+    ['contentHash', 'Content Hash'],
+    ['datasetId', 'Tab'],
+    ['resultId', 'Result ID'],
+    ['label', 'Label'],
+    ['url', 'Document'],
+    ['createdTimestamp', 'Created'],
+  ],
+};
+
+// Plugin tabs that are hidden when they're created.
+const HiddenPluginTabIds = [ContentHashesTabId];
+
 function getCore() {
   // coreInstance = cache.get('core');
 
@@ -30,7 +93,7 @@ function getCore() {
       connector: 'sheets',
       helper: 'sheets',
       gatherers: ['docai'],
-      extensions: ['sheets'],
+      extensions: ['sheets', 'review'],
       // Connector-specific config below
       sheets: {
         envVarsTabId: 'Settings',
@@ -60,24 +123,71 @@ function getCore() {
             skipColumns: 2,
             skipRows: 1,
           },
+          'Review': {
+            dataAxis: 'row',
+            propertyLookup: 2, // Starts at 1
+            skipColumns: 0,
+            skipRows: 3,
+          },
+          'Review Audit': {
+            dataAxis: 'row',
+            propertyLookup: 2, // Starts at 1
+            skipColumns: 0,
+            skipRows: 3,
+          },
+          'Unclassified': {
+            dataAxis: 'row',
+            propertyLookup: 2, // Starts at 1
+            skipColumns: 0,
+            skipRows: 3,
+          },
+          'Content Hashes': {
+            dataAxis: 'row',
+            propertyLookup: 2, // Starts at 1
+            skipColumns: 0,
+            skipRows: 3,
+          },
         },
       },
+      review: {
+        reviewTabId: 'Review',
+        auditTabId: 'Review Audit',
+      },
       batchUpdateBuffer: 10,
       verbose: true,
       debug: true,
     });
 
+    // Cache DocAI responses in CacheService with cacheStorage in the Settings
+    // tab, e.g. for re-running documents after fixing the Fields tab without
+    // calling DocAI again.
+    let settings = coreInstance.getDataJson('Settings') || {};
+    if (settings.cacheStorage) {
+      coreInstance.coreConfig.cache = {
+        storage: settings.cacheStorage,
+        ttl: settings.cacheTtl,
+        maxSize: settings.cacheMaxSize,
+      };
+      coreInstance.apiHandler = coreInstance.getCachingApiHandler(
+        coreInstance.apiHandler, coreInstance.coreConfig.cache);
+    }
+
+    createPluginTabs();
+
     documentTypes = coreInstance.getDataList('Document Types');
     cache.put('documentTypes', documentTypes);
 
     documentTypes.forEach(documentTypeItem => {
       documentTypeMap[documentTypeItem.documentType] = documentTypeItem;
-      coreInstance.coreConfig.sheets.tabs[documentTypeItem.destDatasetId] = {
-        dataAxis: 'row',
-        propertyLookup: 3, // Starts at 1
-        skipColumns: 0,
-        skipRows: 3,
-      };
+      [documentTypeItem.destDatasetId, documentTypeItem.tableDatasetId].forEach(tabId => {
+        if (!tabId) return;
+        coreInstance.coreConfig.sheets.tabs[tabId] = {
+          dataAxis: 'row',
+          propertyLookup: 3, // Starts at 1
+          skipColumns: 0,
+          skipRows: 3,
+        };
+      });
     });
   }
 
@@ -93,6 +203,7 @@ function onOpen() {
     null,
     {name: 'Initialize', functionName: 'initialize'},
     {name: 'Process a document in Drive', functionName: 'showFilePicker'},
+    {name: 'Apply approved reviews', functionName: 'applyReviews'},
     // null,
     // {name: '🧪 Process sample document', functionName: 'submitSampleDocument'},
     // {name: '🧪 Retrieve sample document fields', functionName: 'submitSampleDocumentFields'},
@@ -106,13 +217,44 @@ function onOpen() {
  */
 function initialize() {
   UrlFetchApp.fetch('https://google.com');
+  createPluginTabs();
   Browser.msgBox('This sheet has been authorized!');
 }
 
+/**
+ * Create the tabs in PluginTabColumns that don't exist yet, with a title row,
+ * a hidden property lookup row and a row of column names, so that extensions
+ * can append rows to them.
+ */
+function createPluginTabs() {
+  let spreadsheet = SpreadsheetApp.getActive();
+  Object.keys(PluginTabColumns).forEach(tabId => {
+    if (spreadsheet.getSheetByName(tabId)) return;
+
+    let columns = PluginTabColumns[tabId];
+    let sheet = spreadsheet.insertSheet(tabId);
+    sheet.getRange(1, 1).setValue(tabId).setFontWeight('bold');
+    sheet.getRange(2, 1, 1, columns.length).setValues(
+      [columns.map(column => column[0])]);
+    sheet.getRange(3, 1, 1, columns.length).setValues(
+      [columns.map(column => column[1])]).setFontWeight('bold');
+    sheet.hideRows(2);
+    sheet.setFrozenRows(3);
+    if (HiddenPluginTabIds.includes(tabId)) sheet.hideSheet();
+  });
+}
+
 async function submitDocument(documentType, fileId) {
   let file = DriveApp.getFileById(fileId);
-  let contentBase64 = Utilities.base64Encode(file.getBlob().getBytes());
-  await processDocument(documentType, contentBase64);
+  let blob = file.getBlob();
+  let contentBase64 = Utilities.base64Encode(blob.getBytes());
+  if (documentType === AutoDetect) {
+    await autoDetectDocument(contentBase64, blob.getContentType(),
+      { label: file.getName(), url: file.getUrl() });
+    return;
+  }
+  await processDocument(documentType, contentBase64, false /* isGetDocumentFields */,
+    blob.getContentType(), { label: file.getName(), url: file.getUrl() });
 }
 
 /**
@@ -125,28 +267,124 @@ async function submitSampleDocument() {
 }
 
 /**
- * Process selected base64 document string.
+ * Return the DocAI gatherer options of a document type. The location, API
+ * endpoint, API version and duplicate key strategy can be set per document
+ * type in the Document Types tab, or for all document types in the Settings
+ * tab.
+ */
+function getDocaiOptions(documentType, settings) {
+  let documentTypeItem = documentTypeMap[documentType];
+  return {
+    authorization: 'Bearer ' + settings.oauthToken,
+    projectId: settings.projectId,
+    processorId: documentTypeItem.processorId,
+    location: documentTypeItem.location || settings.location,
+    apiEndpoint: documentTypeItem.apiEndpoint || settings.apiEndpoint,
+    apiVersion: documentTypeItem.apiVersion || settings.apiVersion,
+    duplicateKeys: documentTypeItem.duplicateKeys || settings.duplicateKeys,
+    minConfidence: documentTypeItem.minConfidence || settings.minConfidence,
+    keyMatchThreshold: documentTypeItem.keyMatchThreshold ||
+      settings.keyMatchThreshold,
+    outputMode: documentTypeItem.outputMode || settings.outputMode,
+    retry: {
+      maxAttempts: settings.maxAttempts,
+    },
+  };
+}
+
+/**
+ * Return the run options in the Settings tab. When `deduplicate` is checked,
+ * a document with the same content as a processed one gets the Duplicate
+ * status with the id of the original result in `duplicateOf`, or is skipped
+ * with `skipDuplicates`. When `bypassCache` is checked, cached DocAI
+ * responses are not used.
+ */
+function getRunOptions(settings) {
+  return {
+    dedupDatasetId: settings.deduplicate ? ContentHashesTabId : null,
+    skipDuplicates: settings.skipDuplicates,
+    bypassCache: settings.bypassCache,
+  };
+}
+
+/**
+ * Return the Fields of a document type with key remappings and transforms,
+ * the minConfidence of each field, and validation rules.
  */
-async function processDocument(documentType, contentBase64, isGetDocumentFields) {
-  let keyRemapList = getCore().getDataList('Fields');
+function getKeyRemapList(documentType) {
+  let keyRemapList = getCore().getDataList('Fields').filter(item => {
+    return !item.docai.data.documentType ||
+      item.docai.data.documentType === documentType;
+  });
   keyRemapList.forEach(item => {
     item.key = item.docai.data.key;
     item.newKey = item.docai.data.newKey;
+    ['transform', 'minConfidence', 'required', 'pattern', 'type', 'min', 'max',
+      'allowedValues'].forEach(ruleKey => {
+      item[ruleKey] = item.docai.data[ruleKey];
+    });
   });
+  return keyRemapList;
+}
 
+/**
+ * Return the routes of document classes for a splitter or classifier, from
+ * the documentClass column of the Document Types tab, or the document type
+ * if it's empty. Sub-documents of a class are processed with the processor
+ * of its document type and appended to its destDatasetId.
+ */
+function getClassRoutes(settings) {
+  let classRoutes = {};
+  documentTypes.forEach(documentTypeItem => {
+    let docaiOptions = getDocaiOptions(documentTypeItem.documentType, settings);
+    classRoutes[documentTypeItem.documentClass || documentTypeItem.documentType] = {
+      documentType: documentTypeItem.documentType,
+      destDatasetId: documentTypeItem.destDatasetId,
+      processorId: docaiOptions.outputMode === 'split' ?
+        null : docaiOptions.processorId,
+      location: docaiOptions.location,
+      apiEndpoint: docaiOptions.apiEndpoint,
+      apiVersion: docaiOptions.apiVersion,
+      duplicateKeys: docaiOptions.duplicateKeys,
+      minConfidence: docaiOptions.minConfidence,
+      keyMatchThreshold: docaiOptions.keyMatchThreshold,
+      keyRemapList: getKeyRemapList(documentTypeItem.documentType),
+    };
+  });
+  return classRoutes;
+}
+
+/**
+ * Process selected base64 document string. The MIME type is detected from the
+ * content if not given. The label and url of fileInfo are kept in the result,
+ * e.g. for linking to the document from the Review tab. Documents of a type
+ * with the "split" outputMode are split into sub-documents, each appended to
+ * the tab of its document class.
+ */
+async function processDocument(documentType, contentBase64, isGetDocumentFields, mimeType,
+    fileInfo) {
+  let keyRemapList = getKeyRemapList(documentType);
   let settings = getCore().getDataJson('Settings');
+  let isSplit = getDocaiOptions(documentType, settings).outputMode === 'split';
   let response = await getCore().run({
     gatherer: ['docai'],
     srcData: {
       documentType: documentType,
       contentBase64: contentBase64,
+      mimeType: mimeType,
+      ...(fileInfo || {}),
     },
     destDatasetId: documentTypeMap[documentType].destDatasetId,
+    // Table rows go to the table tab of the document type if any.
+    childDatasetId: documentTypeMap[documentType].tableDatasetId,
+    ...getRunOptions(settings),
+    multiRowsGatherer: isSplit ? 'docai' : null,
     docai: {
-      authorization: 'Bearer ' + settings.oauthToken,
-      projectId: settings.projectId,
-      processorId: documentTypeMap[documentType].processorId,
+      ...getDocaiOptions(documentType, settings),
       keyRemapList: keyRemapList,
+      tableRows: documentTypeMap[documentType].tableDatasetId ? 'childRows' : null,
+      classRoutes: isSplit ? getClassRoutes(settings) : null,
+      minClassConfidence: settings.minClassConfidence,
     },
   });
 
@@ -159,6 +397,51 @@ async function processDocument(documentType, contentBase64, isGetDocumentFields)
   }
 }
 
+/**
+ * Classify a document with the classifierProcessorId in the Settings tab,
+ * then process it with the processor of the document type of the class with
+ * the highest confidence, and append it to the tab of the document type.
+ * Documents with a confidence below minClassConfidence in the Settings tab,
+ * or of a class without a document type, go to the Unclassified tab.
+ */
+async function autoDetectDocument(contentBase64, mimeType, fileInfo) {
+  let settings = getCore().getDataJson('Settings');
+  if (!settings.classifierProcessorId) {
+    throw new Error('classifierProcessorId is missing in the Settings tab.');
+  }
+
+  let response = await getCore().run({
+    gatherer: ['docai'],
+    srcData: {
+      documentType: AutoDetect,
+      contentBase64: contentBase64,
+      mimeType: mimeType,
+      ...(fileInfo || {}),
+    },
+    destDatasetId: UnclassifiedTabId,
+    multiRowsGatherer: 'docai',
+    ...getRunOptions(settings),
+    docai: {
+      authorization: 'Bearer ' + settings.oauthToken,
+      projectId: settings.projectId,
+      processorId: settings.classifierProcessorId,
+      location: settings.classifierLocation || settings.location,
+      apiEndpoint: settings.apiEndpoint,
+      apiVersion: settings.apiVersion,
+      outputMode: 'split',
+      classRoutes: getClassRoutes(settings),
+      minClassConfidence: settings.minClassConfidence,
+      retry: {
+        maxAttempts: settings.maxAttempts,
+      },
+    },
+  });
+
+  if (response.errors && response.errors.length > 0) {
+    SpreadsheetApp.getUi().alert(response.errors);
+  }
+}
+
 /**
  * Submit a document and process document fields
  */
@@ -167,8 +450,9 @@ async function submitDocumentFields(documentType, fileId) {
   console.log('documentType: ' + documentType);
 
   let file = DriveApp.getFileById(fileId);
-  let contentBase64 = Utilities.base64Encode(file.getBlob().getBytes());
-  await processDocumentFields(documentType, contentBase64);
+  let blob = file.getBlob();
+  let contentBase64 = Utilities.base64Encode(blob.getBytes());
+  await processDocumentFields(documentType, contentBase64, blob.getContentType());
 }
 
 /**
@@ -183,20 +467,19 @@ async function submitSampleDocumentFields() {
 /**
  * Retreive document fields and add rows to Fields tab.
  */
-async function processDocumentFields(documentType, contentBase64) {
+async function processDocumentFields(documentType, contentBase64, mimeType) {
   let settings = getCore().getDataJson('Settings');
   let response = await getCore().run({
     gatherer: ['docai'],
     srcData: {
       documentType: documentType,
       contentBase64: contentBase64,
+      mimeType: mimeType,
     },
     destDatasetId: 'Fields',
     multiRowsGatherer: 'docai',
     docai: {
-      authorization: 'Bearer ' + settings.oauthToken,
-      projectId: settings.projectId,
-      processorId: documentTypeMap[documentType].processorId,
+      ...getDocaiOptions(documentType, settings),
       fieldKeyOnly: true,
     },
   });
@@ -208,6 +491,22 @@ async function processDocumentFields(documentType, contentBase64) {
   }
 }
 
+/**
+ * Write the corrected values of approved rows in the Review tab back to their
+ * result rows, and keep the original and corrected values in the Review Audit
+ * tab.
+ */
+function applyReviews() {
+  let response = getCore().extensions['review'].applyReviews({
+    reviewer: Session.getActiveUser().getEmail(),
+  });
+  let message = `Applied ${response.applied} reviewed fields.`;
+  if (response.errors.length > 0) {
+    message += '\n' + response.errors.join('\n');
+  }
+  SpreadsheetApp.getUi().alert(message);
+}
+
 function refreshDocumentTypes() {
   documentTypes = getCore().getDataList('Document Types');
   cache.put('documentTypes', documentTypes);
@@ -22,7 +22,11 @@ export default [{
         'path',
         'google-spreadsheet',
         // './connectors/sheets-connector',
+        './connectors/json-connector',
+        './connectors/csv-connector',
+        'csv-parse/lib/sync',
         './helpers/node-helper',
+        './helpers/recording-api-handler',
         './helpers/gcp-handler',
         '@google-cloud/bigquery',
       ],
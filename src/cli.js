@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const path = require('path');
+const url = require('url');
+const minimist = require('minimist');
+const assert = require('./utils/assert');
+const Status = require('./common/status');
+const DataGathererFramework = require('./core');
+const JsonConnector = require('./connectors/json-connector');
+const { FileExtensions } = require('./utils/mime-type');
+const { NodeHelper } = require('./helpers/node-helper');
+
+const SupportedExtensions = Object.keys(FileExtensions);
+const DefaultOutput = 'output/results.json';
+
+// The document type for classifying documents with the classifier processor
+// first, and the dataset of documents that can't be classified.
+const AutoDetect = 'Auto-detect';
+const UnclassifiedDatasetId = 'Unclassified';
+
+const Usage = `
+Usage: docai-sheets --input=<dir> --documentType=<type> [--projectId=<id>]
+    [--processorId=<id>] [--dataDir=<dir>] [--token=<oauth-token>]
+    [--location=<location>] [--apiEndpoint=<url>] [--apiVersion=<version>]
+    [--output=<file>] [--tableOutput=<file>] [--concurrency=<number>]
+    [--maxAttempts=<number>] [--duplicateKeys=<strategy>]
+    [--minConfidence=<number>] [--keyMatchThreshold=<number>]
+    [--outputMode=<mode>] [--minClassConfidence=<number>] [--dedup=<file>]
+    [--skipDuplicates] [--append] [--cacheDir=<dir>] [--cacheTtl=<seconds>]
+    [--bypassCache] [--record=<dir>] [--replay=<dir>]
+
+Options:
+  --input         Directory of documents to process: PDF, TIFF, GIF, JPEG,
+                  PNG, BMP or WEBP files.
+  --documentType  Document type of the documents, e.g. "Application Form", or
+                  "Auto-detect" to classify each document with the
+                  classifierProcessorId in Settings and process it as the
+                  document type of its class in Document Types.
+  --projectId     Google Cloud project ID. Defaults to projectId in Settings.
+  --processorId   Document AI processor ID. Defaults to the processorId of
+                  the document type in Document Types.
+  --location      Processor location, e.g. "us" or "eu". Defaults to the
+                  location of the document type, or "us".
+  --apiEndpoint   DocAI API endpoint, e.g. "http://localhost:8080". Defaults to
+                  the regional endpoint of the location.
+  --apiVersion    DocAI API version, "v1" or "v1beta3". Defaults to "v1".
+  --dataDir       Directory of JSON datasets, e.g. "Settings.json",
+                  "Document Types.json" and "Fields.json".
+  --token         OAuth access token. Defaults to $DOCAI_OAUTH_TOKEN.
+  --fields        JSON file with a list of {key, newKey} field remappings.
+  --output        Output file, .json or .csv. Defaults to the destDatasetId of
+                  the document type in dataDir, or output/results.json.
+  --tableOutput   Output file for table rows in the documents, one row per
+                  table row with the parentId of the document result. Uses the
+                  same format as --output.
+  --concurrency   The number of documents to process concurrently. Defaults
+                  to 1.
+  --maxAttempts   Max attempts of a DocAI request with transient failures
+                  like 429 and 503. Defaults to 3.
+  --duplicateKeys Strategy for form fields with the same label: "overwrite",
+                  "array", "suffix" or "page". Defaults to "overwrite".
+  --minConfidence Flag fields with a lower confidence, e.g. 0.8. Results with
+                  flagged required fields get the "Needs Review" status.
+                  Defaults to the minConfidence of the document type.
+  --keyMatchThreshold
+                  Min similarity between 0 and 1 for matching labels to
+                  field keys that differ slightly, e.g. 0.8. Labels always
+                  match keys that differ in case, punctuation or spaces only.
+  --outputMode    "fields" for fields of the documents, "text" for the full
+                  text, per-page text, page count and detected languages, or
+                  "split" for one result per sub-document of a splitter or
+                  classifier, routed by its class to the destDatasetId in
+                  Document Types. Defaults to "fields".
+  --minClassConfidence
+                  Min confidence of a document class, e.g. 0.7. Documents
+                  below it are written to the "Unclassified" dataset with
+                  "Auto-detect", or stay in the output with "split".
+  --dedup         File of content hashes of processed documents, e.g.
+                  output/hashes.json. Documents with the same content as a
+                  processed one get the "Duplicate" status with the id of the
+                  original result in duplicateOf. Uses the same format as
+                  --output.
+  --skipDuplicates
+                  Don't write results of duplicate documents with --dedup.
+  --cacheDir      Directory to cache DocAI responses in, e.g. .cache. Documents
+                  processed again with the same processor are not sent to
+                  DocAI, e.g. after changing the Fields dataset.
+  --cacheTtl      Seconds to keep cached responses. Defaults to 86400.
+  --bypassCache   Send all documents to DocAI and refresh the cache.
+  --record        Directory to save DocAI requests and responses to as
+                  fixtures, with Authorization headers scrubbed.
+  --replay        Directory of fixtures saved with --record to serve DocAI
+                  responses from, without network access. --token is not
+                  required.
+  --append        Append results to the output file instead of overriding it.
+  --fieldKeyOnly  Output the field keys of the documents only.
+  --verbose       Show verbose messages.
+  --debug         Show debug messages.
+`;
+
+/**
+ * Return a list of sources for all supported documents in a directory.
+ * @param {string} dirpath Directory of documents.
+ * @param {string} documentType Document type of all documents.
+ * @return {Array<object>} Source objects.
+ */
+function getSourcesFromDir(dirpath, documentType) {
+  let filenames = fse.readdirSync(path.resolve(dirpath)).sort();
+
+  return filenames.filter(filename => {
+    let filepath = path.resolve(dirpath, filename);
+    return fse.statSync(filepath).isFile() &&
+      SupportedExtensions.includes(path.extname(filename).toLowerCase());
+  }).map(filename => {
+    let filepath = path.resolve(dirpath, filename);
+    return {
+      label: filename,
+      documentType: documentType,
+      fileName: filename,
+      filePath: filepath,
+      url: url.pathToFileURL(filepath).href,
+      contentBase64: fse.readFileSync(filepath).toString('base64'),
+    };
+  });
+}
+
+/**
+ * Return the list of field key remappings of a document type from the Fields
+ * dataset, in the same format as the Fields tab in Sheets.
+ * @param {object} connector Connector instance for the Fields dataset.
+ * @param {string} documentType
+ * @return {Array<object>} Items with key and newKey.
+ */
+function getKeyRemapList(connector, documentType) {
+  return connector.getDataList('Fields').map(item => {
+    let data = (item.docai || {}).data || {};
+    return {
+      documentType: data.documentType,
+      key: data.key,
+      newKey: data.newKey,
+      transform: data.transform,
+      minConfidence: data.minConfidence,
+      required: data.required,
+      pattern: data.pattern,
+      type: data.type,
+      min: data.min,
+      max: data.max,
+      allowedValues: data.allowedValues,
+    };
+  }).filter(item => !item.documentType || item.documentType === documentType);
+}
+
+/**
+ * Return the routes of document classes from the Document Types dataset, in
+ * the same format as the Document Types tab in Sheets. A class is the
+ * documentClass of a document type, or the document type itself.
+ * @param {object} connector Connector instance for the datasets.
+ * @return {object} Routes keyed by document class.
+ */
+function getClassRoutes(connector) {
+  let classRoutes = {};
+  connector.getDataList('Document Types').forEach(item => {
+    classRoutes[item.documentClass || item.documentType] = {
+      documentType: item.documentType,
+      destDatasetId: item.destDatasetId,
+      processorId: item.outputMode === 'split' ? null : item.processorId,
+      location: item.location,
+      apiEndpoint: item.apiEndpoint,
+      apiVersion: item.apiVersion,
+      duplicateKeys: item.duplicateKeys,
+      minConfidence: item.minConfidence,
+      keyMatchThreshold: item.keyMatchThreshold,
+      keyRemapList: getKeyRemapList(connector, item.documentType),
+    };
+  });
+  return classRoutes;
+}
+
+/**
+ * Run all documents in the input directory through the DocAI gatherer and
+ * write the results to the output file.
+ * @param {object} args Parsed command-line arguments.
+ * @return {object} Processed Sources and Results.
+ */
+async function main(args) {
+  // Recorded responses don't depend on the token.
+  let token = args.token || process.env.DOCAI_OAUTH_TOKEN ||
+    (args.replay ? 'replay' : null);
+  let settings = {}, documentTypeItem = {}, keyRemapList = null;
+  let classRoutes = null;
+
+  assert(args.input, '--input is missing');
+  assert(args.documentType, '--documentType is missing');
+  assert(token, '--token is missing');
+
+  let sources = getSourcesFromDir(args.input, args.documentType);
+  assert(sources.length > 0, `No supported documents found in ${args.input}`);
+
+  if (args.dataDir) {
+    let dataConnector = new JsonConnector({
+      dir: args.dataDir,
+      envVarsDatasetId: 'Settings',
+    });
+    settings = dataConnector.getEnvVars();
+    documentTypeItem = dataConnector.getDataList('Document Types', {
+      filters: [`documentType === ${JSON.stringify(args.documentType)}`],
+    })[0] || {};
+    keyRemapList = getKeyRemapList(dataConnector, args.documentType);
+    classRoutes = getClassRoutes(dataConnector);
+  }
+  if (args.fields) {
+    keyRemapList = NodeHelper.getJsonFromFile(args.fields);
+  }
+
+  let projectId = args.projectId || settings.projectId;
+  let processorId = args.processorId || documentTypeItem.processorId;
+  let output = args.output || documentTypeItem.destDatasetId || DefaultOutput;
+  let outputMode = args.outputMode || documentTypeItem.outputMode ||
+    settings.outputMode;
+
+  // Classify documents first, and process each as the detected document type.
+  if (args.documentType === AutoDetect) {
+    processorId = args.processorId || settings.classifierProcessorId;
+    output = args.output || (args.dataDir ? UnclassifiedDatasetId : DefaultOutput);
+    outputMode = 'split';
+  }
+
+  assert(projectId, '--projectId is missing');
+  assert(processorId, '--processorId is missing');
+
+  // Write to the output file, or to the dataset in dataDir when the output
+  // is a dataset name like "Application Form".
+  let extname = path.extname(output).toLowerCase();
+  let outputs = [output, args.tableOutput, args.dedup].filter(x => x);
+  let datasets = {}, tabs = {};
+  outputs.forEach(outputPath => {
+    if (path.extname(outputPath)) datasets[outputPath] = outputPath;
+    tabs[outputPath] = { path: outputPath };
+  });
+  let core = new DataGathererFramework({
+    connector: extname === '.csv' ? 'csv' : 'json',
+    helper: 'node',
+    gatherers: ['docai'],
+    json: {
+      dir: args.dataDir,
+      datasets: datasets,
+    },
+    csv: {
+      dir: args.dataDir,
+      tabs: tabs,
+    },
+    fixtures: args.record || args.replay ? {
+      mode: args.replay ? 'replay' : 'record',
+      dir: args.replay || args.record,
+    } : null,
+    cache: args.cacheDir ? {
+      storage: 'directory',
+      dir: args.cacheDir,
+      ttl: args.cacheTtl,
+    } : null,
+    verbose: args.verbose,
+    debug: args.debug,
+  });
+
+  let response = await core.run({
+    gatherer: ['docai'],
+    srcData: sources,
+    destDatasetId: output,
+    childDatasetId: args.tableOutput,
+    dedupDatasetId: args.dedup,
+    bypassCache: args.bypassCache,
+    skipDuplicates: args.skipDuplicates,
+    overrideResults: !args.append,
+    concurrency: args.concurrency,
+    // Sub-documents of a split document are appended to the datasets of
+    // their document classes in dataDir, or to the output file.
+    multiRowsGatherer: args.fieldKeyOnly || outputMode === 'split' ?
+      'docai' : null,
+    docai: {
+      authorization: 'Bearer ' + token,
+      projectId: projectId,
+      processorId: processorId,
+      location: args.location || documentTypeItem.location || settings.location,
+      apiEndpoint: args.apiEndpoint || documentTypeItem.apiEndpoint ||
+        settings.apiEndpoint,
+      apiVersion: args.apiVersion || documentTypeItem.apiVersion ||
+        settings.apiVersion,
+      fieldKeyOnly: args.fieldKeyOnly,
+      duplicateKeys: args.duplicateKeys || documentTypeItem.duplicateKeys ||
+        settings.duplicateKeys,
+      minConfidence: args.minConfidence || documentTypeItem.minConfidence ||
+        settings.minConfidence,
+      keyMatchThreshold: args.keyMatchThreshold ||
+        documentTypeItem.keyMatchThreshold || settings.keyMatchThreshold,
+      outputMode: outputMode,
+      classRoutes: classRoutes,
+      minClassConfidence: args.minClassConfidence || settings.minClassConfidence,
+      tableRows: args.tableOutput ? 'childRows' : null,
+      keyRemapList: keyRemapList,
+      retry: {
+        maxAttempts: args.maxAttempts,
+      },
+    },
+  });
+  console.log(`Wrote ${response.results.length} results to ${output}`);
+
+  return response;
+}
+
+if (require.main === module) {
+  let args = minimist(process.argv.slice(2), {
+    boolean: ['append', 'fieldKeyOnly', 'skipDuplicates', 'bypassCache',
+      'verbose', 'debug', 'help'],
+  });
+
+  if (args.help) {
+    console.log(Usage);
+  } else {
+    main(args).then(response => {
+      if (response.results.some(result => result.status === Status.ERROR)) {
+        process.exitCode = 1;
+      }
+    }).catch(e => {
+      console.error(e.message);
+      console.log(Usage);
+      process.exitCode = 1;
+    });
+  }
+}
+
+module.exports = {
+  getClassRoutes,
+  getKeyRemapList,
+  getSourcesFromDir,
+  main,
+};
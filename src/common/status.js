@@ -19,5 +19,6 @@ module.exports = {
   RETRIEVED: 'Retrieved',
   COMPLETE: 'Complete',
   ERROR: 'Error',
+  NEEDS_REVIEW: 'Needs Review',
   DUPLICATE: 'Duplicate',
 }
@@ -24,7 +24,7 @@ class Connector {
   getDataList(tabId, options) { }
   getDataJson(tabId, options) { }
   updateDataList(tabId, newItems, options) { }
-  appenddataList(tabId, newItems, options) { }
+  appendDataList(tabId, newItems, options) { }
   clearDataList(tabId) { }
 }
 
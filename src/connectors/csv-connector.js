@@ -0,0 +1,381 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const path = require('path');
+const parse = require('csv-parse/lib/sync');
+const patternFilter = require('../utils/pattern-filter');
+const setObject = require('../utils/set-object');
+const transpose = require('../utils/transpose');
+const Connector = require('./connector');
+
+const DataAxis = {
+  ROW: 'row',
+  COLUMN: 'column',
+};
+
+// The tab config for a CSV file that is not in config.tabs: the first row is
+// the property lookup row, followed by data rows.
+const DefaultTabConfig = {
+  dataAxis: DataAxis.ROW,
+  propertyLookup: 1, // Starts at 1
+  skipColumns: 0,
+  skipRows: 1,
+};
+
+/**
+ * Return the number or boolean of an unquoted CSV cell, or the cell itself.
+ * @param  {string} value
+ * @return {object}
+ */
+function castValue(value) {
+  if (value === 'true' || value === 'TRUE') return true;
+  if (value === 'false' || value === 'FALSE') return false;
+  if (value !== '' && !isNaN(value)) return Number(value);
+  return value;
+}
+
+/**
+ * The connector handles read and write actions with local CSV files as a data
+ * store. It follows the same tab model as `src/connectors/sheets-connector.js`:
+ * each CSV file is a tab with a property lookup row for nested property keys
+ * like `docai.data.address.value`, and skipRows/skipColumns for header rows.
+ *
+ * Example config:
+ *   csv: {
+ *     dir: 'data',
+ *     envVarsTabId: 'Settings',
+ *     tabs: {
+ *       'Sources': {
+ *         path: 'data/sources.csv',
+ *         dataAxis: 'row',
+ *         propertyLookup: 2, // Starts at 1
+ *         skipColumns: 0,
+ *         skipRows: 3,
+ *       },
+ *     },
+ *   }
+ *
+ * A tab without a path is read from `<dir>/<tabId>.csv`.
+ */
+class CsvConnector extends Connector {
+  /**
+   * constructor - Initilize the instance with given config object and
+   * singleton ApiHandler instance. The config object is a sub-property from
+   * the coreConfig object at the top level.
+   * @param  {Object} config The config object for initializing this connector.
+   * @param  {Object} apiHandler ApiHandler instance initialized in core.
+   */
+  constructor(config, apiHandler) {
+    super(config, apiHandler);
+    config = config || {};
+
+    this.config = config;
+    this.dir = config.dir || '.';
+    this.tabs = config.tabs || {};
+  }
+
+  /**
+   * getTabConfig - Return the tab config of a CSV file.
+   * @param  {string} tabId
+   * @return {object} Tab config.
+   */
+  getTabConfig(tabId) {
+    return {
+      ...DefaultTabConfig,
+      ...(this.tabs[tabId] || {}),
+    };
+  }
+
+  /**
+   * getFilePath - Return the CSV file path of a tab.
+   * @param  {string} tabId
+   * @return {string} File path.
+   */
+  getFilePath(tabId) {
+    let tabConfig = this.getTabConfig(tabId);
+    return path.resolve(tabConfig.path || path.join(this.dir, `${tabId}.csv`));
+  }
+
+  /**
+   * getDataList - Return all items in a CSV file. Each item has a
+   * `csv.rowIndex` property for updating it with updateDataList.
+   * @param  {string} tabId
+   * @param  {object} options Options: filters, verbose and debug.
+   * @return {Array<object>} Items.
+   */
+  getDataList(tabId, options) {
+    options = options || {};
+    let tabConfig = this.getTabConfig(tabId);
+    let data = this.readRows(tabId);
+    if (data.length === 0) return [];
+
+    let skipRows = tabConfig.skipRows || 0;
+    let skipColumns = tabConfig.skipColumns || 0;
+
+    if (tabConfig.dataAxis === DataAxis.COLUMN) {
+      data = transpose(data);
+      skipRows = tabConfig.skipColumns;
+      skipColumns = tabConfig.skipRows;
+    }
+
+    let propertyLookup = data[tabConfig.propertyLookup - 1] || [];
+    data = data.slice(skipRows, data.length);
+
+    let items = [];
+    for (let i = 0; i < data.length; i++) {
+      let newItem = {};
+      for (let j = skipColumns; j < data[i].length; j++) {
+        if (propertyLookup[j]) {
+          setObject(newItem, propertyLookup[j], data[i][j]);
+        }
+      }
+
+      // Add metadata for CSV.
+      newItem.csv = {
+        rowIndex: i + skipRows + 1,
+      };
+      items.push(newItem);
+    }
+
+    items = patternFilter(items, options.filters);
+    return items;
+  }
+
+  /**
+   * getDataJson - Return the first item in a CSV file.
+   * @param  {string} tabId
+   * @param  {object} options Options: filters, verbose and debug.
+   * @return {object}
+   */
+  getDataJson(tabId, options) {
+    let data = this.getDataList(tabId, options);
+    if (data.length > 0) return data[0];
+    else return null;
+  }
+
+  /**
+   * updateDataList - Update the rows of items based on the `csv.rowIndex` of
+   * each item, which is added in getDataList().
+   * @param  {string} tabId
+   * @param  {Array<object>} newItems The array of new items.
+   * @param  {object} options Options: verbose and debug.
+   */
+  updateDataList(tabId, newItems, options) {
+    if (!newItems || newItems.length === 0) return;
+
+    let rows = this.readRows(tabId);
+    let propertyLookup = this.getPropertyLookup(tabId, rows);
+
+    newItems.forEach(item => {
+      if (!item.csv || !item.csv.rowIndex) {
+        throw new Error(`${tabId}: Unable to update an item without csv.rowIndex`);
+      }
+      rows[item.csv.rowIndex - 1] = this.getRowValues(item, propertyLookup);
+    });
+    this.writeRows(tabId, rows);
+  }
+
+  /**
+   * appendDataList - Append new items to the end of a CSV file. When the file
+   * doesn't exist yet, a property lookup row is created with the properties
+   * of the new items. With the default tab config, properties that are not in
+   * the property lookup row yet are added to it as new columns.
+   * @param  {string} tabId
+   * @param  {Array<object>} newItems The array of new items.
+   * @param  {object} options Options: verbose and debug.
+   */
+  appendDataList(tabId, newItems, options) {
+    if (!newItems || newItems.length === 0) return;
+
+    let rows = this.readRows(tabId);
+    if (rows.length === 0) {
+      rows = [this.getPropertyPaths(newItems)];
+    } else if (this.hasGeneratedHeader(tabId)) {
+      let header = rows[0].map(value => value.toString());
+      this.getPropertyPaths(newItems).forEach(propertyPath => {
+        if (!header.includes(propertyPath)) header.push(propertyPath);
+      });
+      rows[0] = header;
+    }
+
+    let propertyLookup = this.getPropertyLookup(tabId, rows);
+    newItems.forEach(item => {
+      rows.push(this.getRowValues(item, propertyLookup));
+    });
+    this.writeRows(tabId, rows);
+  }
+
+  /**
+   * clearDataList - Remove all rows except the skipped header rows. With the
+   * default tab config, the property lookup row is removed too, so that it's
+   * created again with the properties of the next appended items.
+   * @param {string} tabId
+   */
+  clearDataList(tabId) {
+    let tabConfig = this.getTabConfig(tabId);
+    let rows = this.readRows(tabId);
+    let skipRows = this.hasGeneratedHeader(tabId) ? 0 : tabConfig.skipRows;
+    this.writeRows(tabId, rows.slice(0, skipRows));
+  }
+
+  /**
+   * hasGeneratedHeader - Return whether a tab uses the default tab config,
+   * i.e. its only header row is the property lookup row created by
+   * appendDataList.
+   * @param  {string} tabId
+   * @return {boolean}
+   */
+  hasGeneratedHeader(tabId) {
+    let tabConfig = this.getTabConfig(tabId);
+    return tabConfig.dataAxis === DefaultTabConfig.dataAxis &&
+      tabConfig.propertyLookup === DefaultTabConfig.propertyLookup &&
+      tabConfig.skipRows === DefaultTabConfig.skipRows &&
+      tabConfig.skipColumns === DefaultTabConfig.skipColumns;
+  }
+
+  /**
+   * getEnvVars - Returns the environment variables from the tab of
+   * `envVarsTabId` as an object.
+   * @return {object} Environment variables.
+   */
+  getEnvVars() {
+    if (!this.config.envVarsTabId) return {};
+
+    let envVars = this.getDataJson(this.config.envVarsTabId) || {};
+    delete envVars['csv'];
+    return envVars;
+  }
+
+  /**
+   * getPropertyLookup - Return an array of property keys from the row of
+   * property lookup.
+   * @param  {string} tabId
+   * @param  {Array<Array<object>>} rows All rows in the CSV file.
+   * @return {Array<string>} Array of property keys.
+   */
+  getPropertyLookup(tabId, rows) {
+    let tabConfig = this.getTabConfig(tabId);
+    if (tabConfig.dataAxis === DataAxis.COLUMN) {
+      throw new Error(`${tabId}: Writing to a CSV file with column data axis is not supported`);
+    }
+    return rows[tabConfig.propertyLookup - 1] || [];
+  }
+
+  /**
+   * getRowValues - Return cell values of an item in the order of the property
+   * lookup.
+   * @param  {object} item
+   * @param  {Array<string>} propertyLookup
+   * @return {Array<object>} Values.
+   */
+  getRowValues(item, propertyLookup) {
+    return propertyLookup.map(lookup => {
+      try {
+        // Top-level keys that aren't identifiers start with a bracket.
+        if (!lookup) return '';
+        return lookup.startsWith('[') ? eval(`item${lookup}`) :
+          eval(`item.${lookup}`);
+      } catch (error) {
+        return '';
+      }
+    });
+  }
+
+  /**
+   * getPropertyPaths - Return property paths of all leaf values in the items,
+   * e.g. `docai.data["First Name"].value`. Arrays are treated as leaf values.
+   * @param  {Array<object>} items
+   * @return {Array<string>} Property paths.
+   */
+  getPropertyPaths(items) {
+    let paths = [];
+    let collect = (value, prefix) => {
+      if (value && typeof value === 'object' && !Array.isArray(value) &&
+          Object.keys(value).length > 0) {
+        Object.keys(value).forEach(key => {
+          let keyPath = /^[A-Za-z_$][\w$]*$/.test(key) ?
+            (prefix ? `${prefix}.${key}` : key) : `${prefix}[${JSON.stringify(key)}]`;
+          collect(value[key], keyPath);
+        });
+      } else if (prefix && !paths.includes(prefix)) {
+        paths.push(prefix);
+      }
+    };
+
+    items.forEach(item => {
+      let newItem = { ...item };
+      delete newItem.csv;
+      collect(newItem, '');
+    });
+    return paths;
+  }
+
+  /**
+   * readRows - Return all rows in the CSV file of a tab. Unquoted numbers and
+   * booleans are converted from strings.
+   * @param  {string} tabId
+   * @return {Array<Array<object>>} Rows. Empty if the file doesn't exist.
+   */
+  readRows(tabId) {
+    let filepath = this.getFilePath(tabId);
+    if (!fse.existsSync(filepath)) return [];
+
+    return parse(fse.readFileSync(filepath), {
+      relax: true,
+      relax_column_count: true,
+      cast: (value, context) => {
+        return context.quoting ? value : castValue(value);
+      },
+    });
+  }
+
+  /**
+   * writeRows - Write rows to the CSV file of a tab, creating parent
+   * directories if needed.
+   * @param  {string} tabId
+   * @param  {Array<Array<object>>} rows
+   */
+  writeRows(tabId, rows) {
+    let lines = rows.map(values => {
+      return values.map(value => this.toCsvValue(value)).join(',');
+    });
+    let content = lines.length > 0 ? lines.join('\n') + '\n' : '';
+    fse.outputFileSync(this.getFilePath(tabId), content);
+  }
+
+  /**
+   * toCsvValue - Return a value escaped as a CSV cell. Objects and arrays are
+   * written as JSON strings. Strings like numbers or booleans are quoted, so
+   * that they're read back as strings.
+   * @param  {object} value
+   * @return {string}
+   */
+  toCsvValue(value) {
+    if (value === null || typeof value === 'undefined') return '';
+    if (typeof value === 'object') value = JSON.stringify(value);
+    let quoted = typeof value === 'string' && castValue(value) !== value;
+    value = value.toString();
+    if (quoted || /[",\r\n]/.test(value)) {
+      value = '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+  }
+}
+
+module.exports = CsvConnector;
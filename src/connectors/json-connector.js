@@ -0,0 +1,186 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const path = require('path');
+const patternFilter = require('../utils/pattern-filter');
+const Connector = require('./connector');
+const { NodeHelper } = require('../helpers/node-helper');
+
+/**
+ * The connector handles read and write actions with local JSON files as a
+ * data store. Each dataset is a JSON file with an array of items, or a single
+ * object like Settings.
+ *
+ * Example config:
+ *   json: {
+ *     dir: 'data',
+ *     envVarsDatasetId: 'Settings',
+ *     datasets: {
+ *       'Results': 'output/results.json',
+ *     },
+ *   }
+ *
+ * A dataset without a path in `datasets` is read from `<dir>/<datasetId>.json`.
+ */
+class JsonConnector extends Connector {
+  /**
+   * constructor - Initilize the instance with given config object and
+   * singleton ApiHandler instance. The config object is a sub-property from
+   * the coreConfig object at the top level.
+   * @param  {Object} config The config object for initializing this connector.
+   * @param  {Object} apiHandler ApiHandler instance initialized in core.
+   */
+  constructor(config, apiHandler) {
+    super(config, apiHandler);
+    config = config || {};
+
+    this.config = config;
+    this.dir = config.dir || '.';
+    this.datasets = config.datasets || {};
+  }
+
+  /**
+   * getFilePath - Return the JSON file path of a dataset.
+   * @param  {string} datasetId
+   * @return {string} File path.
+   */
+  getFilePath(datasetId) {
+    return path.resolve(this.datasets[datasetId] ||
+      path.join(this.dir, `${datasetId}.json`));
+  }
+
+  /**
+   * getDataList - Return all items in a dataset. Each item has a `json.rowIndex`
+   * property for updating it with updateDataList.
+   * @param  {string} datasetId
+   * @param  {object} options Options: filters, verbose and debug.
+   * @return {Array<object>} Items.
+   */
+  getDataList(datasetId, options) {
+    options = options || {};
+
+    let items = this.readItems(datasetId).map((item, index) => {
+      return {
+        ...item,
+        json: {
+          rowIndex: index,
+        },
+      };
+    });
+
+    items = patternFilter(items, options.filters);
+    return items;
+  }
+
+  /**
+   * getDataJson - Return the first item in a dataset.
+   * @param  {string} datasetId
+   * @param  {object} options Options: filters, verbose and debug.
+   * @return {object}
+   */
+  getDataJson(datasetId, options) {
+    let data = this.getDataList(datasetId, options);
+    if (data.length > 0) return data[0];
+    else return null;
+  }
+
+  /**
+   * updateDataList - Replace the items based on the `json.rowIndex` of each
+   * item, which is added in getDataList().
+   * @param  {string} datasetId
+   * @param  {Array<object>} newItems The array of new items.
+   * @param  {object} options Options: verbose and debug.
+   */
+  updateDataList(datasetId, newItems, options) {
+    if (!newItems || newItems.length === 0) return;
+
+    let items = this.readItems(datasetId);
+    newItems.forEach(newItem => {
+      if (!newItem.json || typeof newItem.json.rowIndex !== 'number') {
+        throw new Error(`${datasetId}: Unable to update an item without json.rowIndex`);
+      }
+      items[newItem.json.rowIndex] = newItem;
+    });
+    this.writeItems(datasetId, items);
+  }
+
+  /**
+   * appendDataList - Append new items to the end of a dataset.
+   * @param  {string} datasetId
+   * @param  {Array<object>} newItems The array of new items.
+   * @param  {object} options Options: verbose and debug.
+   */
+  appendDataList(datasetId, newItems, options) {
+    if (!newItems || newItems.length === 0) return;
+
+    let items = this.readItems(datasetId).concat(newItems);
+    this.writeItems(datasetId, items);
+  }
+
+  /**
+   * clearDataList - Remove all items in a dataset.
+   * @param {string} datasetId
+   */
+  clearDataList(datasetId) {
+    this.writeItems(datasetId, []);
+  }
+
+  /**
+   * getEnvVars - Returns the environment variables from the dataset of
+   * `envVarsDatasetId` as an object.
+   * @return {object} Environment variables.
+   */
+  getEnvVars() {
+    if (!this.config.envVarsDatasetId) return {};
+
+    let envVars = this.getDataJson(this.config.envVarsDatasetId) || {};
+    delete envVars['json'];
+    return envVars;
+  }
+
+  /**
+   * readItems - Return all items in the JSON file of a dataset.
+   * @param  {string} datasetId
+   * @return {Array<object>} Items. Empty if the file doesn't exist.
+   */
+  readItems(datasetId) {
+    let filepath = this.getFilePath(datasetId);
+    if (!fse.existsSync(filepath)) return [];
+
+    let data = NodeHelper.getJsonFromFile(filepath);
+    return Array.isArray(data) ? data : [data];
+  }
+
+  /**
+   * writeItems - Write items to the JSON file of a dataset, without the
+   * metadata added by getDataList().
+   * @param  {string} datasetId
+   * @param  {Array<object>} items
+   */
+  writeItems(datasetId, items) {
+    items = items.map(item => {
+      let newItem = { ...item };
+      delete newItem.json;
+      return newItem;
+    });
+    NodeHelper.writeJsonToFile(this.getFilePath(datasetId), items);
+  }
+}
+
+module.exports = JsonConnector;
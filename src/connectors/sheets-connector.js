@@ -29,6 +29,11 @@ const DataAxis = {
   COLUMN: 'column',
 };
 
+// The maximum number of characters in a cell, and the marker at the end of
+// truncated values.
+const MaxCellLength = 50000;
+const TruncatedMarker = ' [truncated]';
+
 /**
  * the connector handles read and write actions with GoogleSheets as a data
  * store. This connector works together with
@@ -293,7 +298,7 @@ class SheetsConnector extends Connector {
         }
         try {
           let value = lookup ? eval(`item.${lookup}`) : '';
-          values.push(value);
+          values.push(this.toCellValue(value));
         } catch (error) {
           values.push('');
         }
@@ -330,7 +335,7 @@ class SheetsConnector extends Connector {
         }
         try {
           let value = lookup ? eval(`item.${lookup}`) : '';
-          values.push(value);
+          values.push(this.toCellValue(value));
         } catch (error) {
           values.push('');
         }
@@ -348,6 +353,43 @@ class SheetsConnector extends Connector {
     range.setValues(allValues);
   }
 
+  /**
+   * toCellValue - Return the value to write to a cell. Typed values with type
+   * and value properties, like the normalizedValue of DocAI fields, are
+   * written as real dates, numbers and booleans instead of strings. Strings
+   * longer than a cell can hold, like the text of documents, are truncated.
+   * @param  {object} value
+   * @return {object} Cell value.
+   */
+  toCellValue(value) {
+    if (typeof value === 'string' && value.length > MaxCellLength) {
+      return value.substring(0, MaxCellLength - TruncatedMarker.length) +
+        TruncatedMarker;
+    }
+    if (!value || typeof value !== 'object' || !value.type ||
+        !('value' in value)) {
+      return value;
+    }
+
+    switch (value.type) {
+      case 'date':
+      case 'datetime':
+        let matches = (value.value || '').match(
+          /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?$/);
+        if (!matches) return value.value;
+        let parts = matches.slice(1).map(part => parseInt(part || 0));
+        return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4],
+          parts[5]);
+
+      case 'money':
+      case 'number':
+        return Number(value.value);
+
+      default:
+        return value.value;
+    }
+  }
+
   /**
    * clearDataList - Clear the entire list of a specific tab.
    * @param {string} tabId The keys of tabConfigs. E.g. "sourcesTab"
@@ -63,6 +63,11 @@ class DataGathererFramework {
         this.apiHandler = new SheetsApiHandler();
         break;
 
+      case 'node':
+        let { NodeApiHandler } = require('./helpers/node-helper');
+        this.apiHandler = new NodeApiHandler();
+        break;
+
       case 'fake':
         // Use a dummy ApiHandler for test purpose.
         let ApiHandler = require('./helpers/api-handler');
@@ -75,12 +80,32 @@ class DataGathererFramework {
         break;
     }
 
+    // Record API requests and responses to fixtures, or replay them without
+    // network access, if coreConfig.fixtures is set.
+    if (coreConfig.fixtures) {
+      this.apiHandler = this.getFixturesApiHandler(this.apiHandler,
+        coreConfig.fixtures);
+    }
+
+    // Cache API responses if coreConfig.cache is set.
+    if (coreConfig.cache) {
+      this.apiHandler = this.getCachingApiHandler(this.apiHandler,
+        coreConfig.cache);
+    }
+
+    // Initialize connector. Use Sheets connector by default.
+    coreConfig.connector = coreConfig.connector || 'sheets';
+    this.log(`Use connector: ${coreConfig.connector}`);
     if (coreConfig.connector === 'fake') {
+      // Use a dummy connector that doesn't persist any data. The processed
+      // results are still returned by run().
       this.connector = {
-        getEnvVars: () => { },
+        getEnvVars: () => ({}),
+        appendDataList: () => { },
+        clearDataList: () => { },
       };
     } else {
-      this.connector = this.getConnector(coreConfig["sheets"]);
+      this.connector = this.getConnector(coreConfig.connector.toLowerCase());
     }
     this.envVars = this.connector.getEnvVars();
 
@@ -106,6 +131,10 @@ class DataGathererFramework {
             ExtensionClass = require('./extensions/docai-extension');
             break;
 
+          case 'review':
+            ExtensionClass = require('./extensions/review-extension');
+            break;
+
           default:
             try {
               ExtensionClass = require('./extensions/' + extension);
@@ -128,15 +157,44 @@ class DataGathererFramework {
     // update the data by calling connector.updateSourceList or updateResultList.
     // When batchUpdateBuffer is 0, it will write back after all iteration.
     this.batchUpdateBuffer = coreConfig.batchUpdateBuffer || 10;
+
+    // The number of sources to run concurrently. Sources always run one at a
+    // time with the Sheets helper.
+    this.concurrency = coreConfig.concurrency || 1;
   }
 
   /**
-   * Return the singleton connector instance with given name.
+   * Return a new connector instance with given name. The connector config is
+   * the property with the same name in coreConfig, e.g. coreConfig.json.
    * @param {string} name Connector name. E.g. 'json'.
    * @return {object} Connector instance.
    */
-  getConnector(connectorConfig) {
-    let ConnectorClass = require('./connectors/sheets-connector');
+  getConnector(name) {
+    let ConnectorClass = null;
+    let connectorConfig = this.coreConfig[name] || {};
+
+    switch (name) {
+      case 'sheets':
+        ConnectorClass = require('./connectors/sheets-connector');
+        break;
+
+      case 'json':
+        ConnectorClass = require('./connectors/json-connector');
+        break;
+
+      case 'csv':
+        ConnectorClass = require('./connectors/csv-connector');
+        break;
+
+      default:
+        try {
+          ConnectorClass = require('./connectors/' + name + '-connector');
+        } catch (e) {
+          console.error(e);
+          throw new Error(`Unable to load connector: ./connectors/${name}-connector`);
+        }
+        break;
+    }
     return new ConnectorClass(connectorConfig, this.apiHandler);
   }
 
@@ -203,6 +261,12 @@ class DataGathererFramework {
    * @return {object} Processed Sources and Results.
    *
    * Available options:
+   * - srcDatasetId {string}: The dataset to read sources from.
+   * - srcData {object|Array<object>}: A source object or a list of source
+   *     objects to run, when srcDatasetId is not given.
+   * - bypassCache {boolean}: Send all requests of this run instead of using
+   *     cached responses with coreConfig.cache. New responses are still
+   *     cached.
    * - filters {Array<string>}: Use `options.filters` to filter
    *     sources that match conditions. See `src/utils/pattern-filter.js` for
    *     more details.
@@ -219,6 +283,8 @@ class DataGathererFramework {
 
     if (options['srcDatasetId']) {
       sources = await this.connector.getDataList(options['srcDatasetId'], options);
+    } else if (Array.isArray(options['srcData'])) {
+      sources = options['srcData'];
     } else {
       sources = [options['srcData']]
     }
@@ -232,10 +298,23 @@ class DataGathererFramework {
     // Clean up list if overrideResults.
     if (overrideResults) {
       this.connector.clearDataList(options['destDatasetId']);
+      if (options['childDatasetId']) {
+        this.connector.clearDataList(options['childDatasetId']);
+      }
+      if (options['dedupDatasetId']) {
+        await this.removeContentHashes(options['dedupDatasetId'],
+          options['destDatasetId']);
+      }
     }
 
     // Run gatherer.
-    let newResults = await this.execute(options['destDatasetId'], sources, options);
+    let newResults;
+    this.setBypassCache(options.bypassCache);
+    try {
+      newResults = await this.execute(options['destDatasetId'], sources, options);
+    } finally {
+      this.setBypassCache(false);
+    }
 
     // Collect all errors.
     newResults.forEach(result => {
@@ -268,12 +347,164 @@ class DataGathererFramework {
   }
 
   /**
-   * Run a single gatherer and return a detailed response from a gatherer.
+   * Retrieve pending Results with Status.SUBMITTED in a dataset, and update
+   * the Results in place with connector.updateDataList. Results without a
+   * pending response of their gatherers are skipped.
+   * @param {string} datasetId The dataset of Results to retrieve.
+   * @param {object} options
+   * @return {object} Processed Results.
+   *
+   * Available options:
+   * - filters {Array<string>}: Use `options.filters` to filter
+   *     Results that match conditions. See `src/utils/pattern-filter.js` for
+   *     more details.
+   * - verbose {boolean}: Whether to show verbose messages in terminal.
+   * - debug {boolean}: Whether to show debug messages in terminal.
+   */
+  async retrieve(datasetId, options) {
+    options = options || {};
+    let extensions = options.extensions || Object.keys(this.extensions);
+    let extResponse, overallErrors = [];
+    let resultsToUpdate = [];
+
+    assert(datasetId, 'datasetId is missing');
+    options.envVars = this.connector.getEnvVars();
+
+    // Only retrieve pending Results.
+    let filters = (options.filters || []).concat([
+      `status === "${Status.SUBMITTED}"`]);
+    let results = await this.connector.getDataList(datasetId, {
+      ...options,
+      filters: filters,
+    });
+
+    // Before all retrieves.
+    extResponse = this.runExtensions(extensions, 'beforeAllRetrieves', {
+      results: results,
+    }, options);
+    overallErrors = overallErrors.concat(extResponse.errors);
+
+    // Before each retrieve.
+    results.forEach(result => {
+      extResponse = this.runExtensions(extensions, 'beforeRetrieve', {
+        result: result,
+      }, options);
+      overallErrors = overallErrors.concat(extResponse.errors);
+    });
+
+    // Retrieve pending Results of each gatherer.
+    let gathererNames = [];
+    results.forEach(result => {
+      gathererNames = gathererNames.concat(this.parseGathererNames(result.gatherer));
+    });
+    gathererNames = gathererNames.concat(this.parseGathererNames(options.gatherer));
+    let retrievedResults = new Set();
+    for (let gathererName of [...new Set(gathererNames)]) {
+      let pendingResults = results.filter(result => {
+        let resultGathererNames = this.parseGathererNames(result.gatherer)
+          .concat(this.parseGathererNames(options.gatherer));
+        return resultGathererNames.includes(gathererName) &&
+          result[gathererName] &&
+          result[gathererName].status === Status.SUBMITTED;
+      });
+      if (pendingResults.length === 0) continue;
+
+      let responses = await this.retrieveGatherer(pendingResults, gathererName,
+        options[gathererName]);
+      pendingResults.forEach((result, index) => {
+        if (responses[index]) result[gathererName] = responses[index];
+        retrievedResults.add(result);
+      });
+    }
+
+    // Keep Results as they are when none of their gatherers were retrieved,
+    // e.g. Results without the gatherer property.
+    let skippedCount = results.length;
+    results = results.filter(result => retrievedResults.has(result));
+    skippedCount -= results.length;
+    if (skippedCount > 0) {
+      this.log(`DataGathererFramework::retrieve, skips ${skippedCount} ` +
+        `results without pending gatherers.`);
+    }
+
+    for (let i = 0; i < results.length; i++) {
+      let result = results[i];
+      let statuses = [];
+
+      // Update overall status.
+      let resultGathererNames = this.parseGathererNames(result.gatherer);
+      resultGathererNames = resultGathererNames.concat(
+        this.parseGathererNames(options.gatherer));
+      [...new Set(resultGathererNames)].forEach(gathererName => {
+        if (result[gathererName]) statuses.push(result[gathererName].status);
+      });
+      result.status = this.getOverallStatus(statuses);
+      result.modifiedTimestamp = Date.now();
+
+      // Collect errors from all gatherers.
+      result.errors = this.getOverallErrors(result);
+
+      // After each retrieve.
+      extResponse = this.runExtensions(extensions, 'afterRetrieve', {
+        result: result,
+      }, options);
+      result.errors = result.errors.concat(extResponse.errors);
+      overallErrors = overallErrors.concat(result.errors);
+
+      // Batch update to the connector if the buffer is full.
+      resultsToUpdate.push(result);
+      if (this.batchUpdateBuffer &&
+        resultsToUpdate.length >= this.batchUpdateBuffer) {
+        await this.connector.updateDataList(datasetId, resultsToUpdate, options);
+        this.log(`DataGathererFramework::retrieve, batch updates ` +
+          `${resultsToUpdate.length} results.`);
+        resultsToUpdate = [];
+      }
+    }
+
+    // Update the remaining.
+    await this.connector.updateDataList(datasetId, resultsToUpdate, options);
+
+    // After all retrieves.
+    extResponse = this.runExtensions(extensions, 'afterAllRetrieves', {
+      results: results,
+    }, options);
+    overallErrors = overallErrors.concat(extResponse.errors);
+
+    if (!this.quiet) {
+      console.log(`Retrieve completed for ${results.length} results.`);
+    }
+
+    return {
+      results: results,
+      errors: overallErrors,
+    };
+  }
+
+  /**
+   * Run all sources with gatherers and append Results to the destination
+   * dataset. Sources run concurrently up to `concurrency`, while Results are
+   * always appended in the same order as sources.
    * @param {string} destDatasetId
    * @param {object} sources
    * @param {object} options
    *
    * Available options:
+   * - concurrency {number}: The number of sources to run concurrently.
+   *     Defaults to coreConfig.concurrency or 1. Ignored with Sheets helper.
+   * - multiRowsGatherer {string}: Split the array data of the gatherer into
+   *     multiple Results, each with parentId of the Result of the source. A
+   *     row with a `destDatasetId` is appended to that dataset instead, e.g.
+   *     sub-documents of a bundled PDF routed by their document classes.
+   * - childDatasetId {string}: The dataset to append child Results to. Each
+   *     item of the `childRows` array in a gatherer response is appended as a
+   *     child Result with parentId, e.g. table rows of a document.
+   * - dedupDatasetId {string}: The dataset of content hashes of processed
+   *     sources, e.g. a hidden tab. A source with the same contentBase64 as a
+   *     processed source of destDatasetId gets a Result with
+   *     Status.DUPLICATE and `duplicateOf` the id of the original Result,
+   *     without running gatherers.
+   * - skipDuplicates {boolean}: Don't append Results of duplicate sources.
    * - filters {Array<string>}: Use `options.filters` to filter
    *     sources that match conditions. See `src/utils/pattern-filter.js` for
    *     more details.
@@ -285,88 +516,433 @@ class DataGathererFramework {
     options = options || {};
     let extensions = options.extensions || Object.keys(this.extensions);
     let resultsToUpdate = [], allNewResults = [];
+    let childResultsToUpdate = [];
+    let childDatasetId = options.childDatasetId;
+    let dedupDatasetId = options.dedupDatasetId;
+    let contentHashesToUpdate = [];
     let extResponse;
-    let multiRowsGatherer = options.multiRowsGatherer;
+    let concurrency = this.getConcurrency(options);
 
     assert(destDatasetId, 'destDatasetId is missing');
 
+    // Content hashes of processed sources, including the ones in this run.
+    let contentHashes = dedupDatasetId ?
+      await this.getContentHashes(dedupDatasetId, destDatasetId) : null;
+
     // Before each run.
     sources.forEach(source => {
       extResponse = this.runExtensions(extensions, 'beforeRun', { source: source });
       source.errors = extResponse.errors;
     });
 
-    // Run one source at a time and collect metrics from all gatherers.
-    for (let i = 0; i < sources.length; i++) {
-      let source = sources[i];
-      let statuses = [];
-
-      // Create a dummy Result.
-      let newResult = this.createNewResult(source, options);
-
-      // Collect metrics from all gatherers.
-      let gathererNames = this.parseGathererNames(source.gatherer);
-      gathererNames = gathererNames.concat(this.parseGathererNames(options.gatherer));
-      [...new Set(gathererNames)].forEach(gathererName => {
-        let gathererOptions = options[gathererName];
-        let response = this.runGatherer(source, gathererName, gathererOptions);
-        if (response) {
-          newResult[gathererName] = response;
-          statuses.push(newResult[gathererName].status);
+    // Results of each source, in the same order as sources.
+    let sourceResults = new Array(sources.length);
+    let nextIndex = 0, flushIndex = 0;
+    let pendingUpdate = Promise.resolve();
+
+    // Collect the results of completed sources in order, and batch update to
+    // the connector if the buffer is full. Updates are chained so that
+    // results are appended in the same order as sources.
+    let flushResults = (isFinal) => {
+      while (flushIndex < sources.length && sourceResults[flushIndex]) {
+        let { results, childResults, contentHashItems, original } =
+          sourceResults[flushIndex];
+
+        // The original of a duplicate is flushed before it, so its resultId
+        // is final by now, e.g. after splitting it into rows.
+        if (original) {
+          results.forEach(result => result.duplicateOf = original.resultId);
         }
-      });
+        resultsToUpdate = resultsToUpdate.concat(results);
+        allNewResults = allNewResults.concat(results);
+        childResultsToUpdate = childResultsToUpdate.concat(childResults);
+        contentHashesToUpdate = contentHashesToUpdate.concat(
+          contentHashItems.map(item => ({ ...item, datasetId: destDatasetId })));
+        flushIndex++;
+      }
 
-      // Update overall status.
-      newResult.status = this.getOverallStatus(statuses);
+      if (isFinal || (this.batchUpdateBuffer &&
+        resultsToUpdate.length >= this.batchUpdateBuffer)) {
+        let results = resultsToUpdate;
+        let childResults = childResultsToUpdate;
+        let contentHashItems = contentHashesToUpdate;
+        resultsToUpdate = [];
+        childResultsToUpdate = [];
+        contentHashesToUpdate = [];
+        pendingUpdate = pendingUpdate.then(async () => {
+          let resultsByDataset = this.groupResultsByDataset(destDatasetId,
+            results);
+          for (let datasetId of Object.keys(resultsByDataset)) {
+            await this.connector.appendDataList(datasetId,
+              resultsByDataset[datasetId], options);
+            this.log(`DataGathererFramework::execute, batch appends ` +
+              `${resultsByDataset[datasetId].length} results to ${datasetId}.`);
+          }
 
-      // Collect errors from all gatherers.
-      newResult.errors = this.getOverallErrors(newResult);
+          if (childDatasetId && childResults.length > 0) {
+            await this.connector.appendDataList(childDatasetId, childResults,
+              options);
+            this.log(`DataGathererFramework::execute, batch appends ` +
+              `${childResults.length} child results.`);
+          }
+
+          if (dedupDatasetId && contentHashItems.length > 0) {
+            await this.connector.appendDataList(dedupDatasetId,
+              contentHashItems, options);
+          }
+        });
+      }
+      return pendingUpdate;
+    };
+
+    // Run sources with a pool of workers, each picks up the next source
+    // until all sources are processed.
+    let runWorker = async () => {
+      while (nextIndex < sources.length) {
+        let index = nextIndex++;
+        sourceResults[index] = await this.runSource(sources[index], options,
+          contentHashes);
+        await flushResults();
+      }
+    };
+
+    let workers = [];
+    for (let i = 0; i < Math.min(concurrency, sources.length); i++) {
+      workers.push(runWorker());
+    }
+    await Promise.all(workers);
+
+    // Update the remaining.
+    await flushResults(true /* isFinal */);
+
+    return allNewResults;
+  }
+
+  /**
+   * Group Results by their datasets: the `destDatasetId` of a Result, or the
+   * given destDatasetId. The order of Results in each dataset is kept.
+   * @param {string} destDatasetId The default dataset.
+   * @param {Array<object>} results
+   * @return {object} Results keyed by dataset ids, with the default dataset
+   *     first.
+   */
+  groupResultsByDataset(destDatasetId, results) {
+    let resultsByDataset = {};
+    resultsByDataset[destDatasetId] = [];
+    results.forEach(result => {
+      let datasetId = result.destDatasetId || destDatasetId;
+      resultsByDataset[datasetId] = resultsByDataset[datasetId] || [];
+      resultsByDataset[datasetId].push(result);
+    });
+    return resultsByDataset;
+  }
+
+  /**
+   * Run all gatherers of a single source and return the new Results. It
+   * returns multiple Results when using multiRowsGatherer, and child Results
+   * when using childDatasetId.
+   * @param {object} source Source object to run.
+   * @param {object} options
+   * @param {object} contentHashes Content hash items of processed sources, or
+   *     promises of them for sources in this run, keyed by hashes, with
+   *     dedupDatasetId.
+   * @return {object} New Results, child Results and new content hashes, and
+   *     the content hash item of the original of a duplicate.
+   */
+  async runSource(source, options, contentHashes) {
+    let extensions = options.extensions || Object.keys(this.extensions);
+    let multiRowsGatherer = options.multiRowsGatherer;
+    let newResults = [], childResults = [], contentHashItems = [];
+    let statuses = [];
+    let extResponse;
+
+    // Create a dummy Result.
+    let newResult = this.createNewResult(source, options);
+
+    // Find the original Result of a source with the same content. An original
+    // in the same run is a promise of its content hash item, which resolves
+    // to null if it fails, so that the next repeat is gathered instead.
+    let contentHash = contentHashes && source.contentBase64 ?
+      this.apiHandler.getContentHash(source.contentBase64) : null;
+    let original = null, contentHashItem = null, resolveOriginal = null;
+    if (contentHash) {
+      newResult.contentHash = contentHash;
+      while (!original) {
+        let pendingOriginal = contentHashes[contentHash];
+        if (!pendingOriginal) {
+          contentHashItem = this.createContentHashItem(newResult);
+          contentHashes[contentHash] = new Promise(resolve => {
+            resolveOriginal = resolve;
+          });
+          break;
+        }
+        original = await pendingOriginal;
+      }
+    }
+
+    if (original) {
+      if (options.skipDuplicates) {
+        this.log(`DataGathererFramework::runSource, skips a duplicate of ` +
+          `Result ${original.resultId}.`);
+        return { results: [], childResults: [], contentHashItems: [] };
+      }
+      newResult.status = Status.DUPLICATE;
+      newResult.duplicateOf = original.resultId;
 
-      // After each run
       extResponse = this.runExtensions(extensions, 'afterRun', {
         source: source,
         result: newResult,
       });
       newResult.errors = newResult.errors.concat(extResponse.errors);
+      return {
+        results: [newResult],
+        childResults: [],
+        contentHashItems: [],
+        original: original,
+      };
+    }
 
-      // Split array data result into multiple rows.
-      if (multiRowsGatherer) {
-        let data = newResult[multiRowsGatherer].data || [];
-        if (Array.isArray(data)) {
-          data.forEach(rowData => {
-            let rowResult = { ...newResult };
-            rowResult[multiRowsGatherer] = {
-              status: newResult.status,
-              statusText: newResult.statusText,
-              metadata: newResult.metadata,
-              data: rowData,
-              errors: newResult.errors,
-            };
-            resultsToUpdate.push(rowResult);
-            allNewResults.push(rowResult);
-          });
-        }
+    // Collect metrics from all gatherers.
+    let gathererNames = this.parseGathererNames(source.gatherer);
+    gathererNames = gathererNames.concat(this.parseGathererNames(options.gatherer));
+    gathererNames = [...new Set(gathererNames)];
+    for (let gathererName of gathererNames) {
+      let gathererOptions = options[gathererName];
+      let response = await this.runGatherer(source, gathererName, gathererOptions);
+      if (response) {
+        newResult[gathererName] = response;
+        statuses.push(newResult[gathererName].status);
+      }
+    }
+
+    // Update overall status.
+    newResult.status = this.getOverallStatus(statuses);
 
+    // Failed sources can be processed again.
+    if (contentHashItem) {
+      if (newResult.status === Status.ERROR) {
+        delete contentHashes[contentHash];
+        contentHashItem = null;
       } else {
-        // Collect sources and results for batch update if applicable.
-        resultsToUpdate.push(newResult);
-        allNewResults.push(newResult);
+        contentHashItems.push(contentHashItem);
       }
+    }
 
-      // Batch update to the connector if the buffer is full.
-      if (this.batchUpdateBuffer &&
-        resultsToUpdate.length >= this.batchUpdateBuffer) {
-        await this.connector.appendDataList(destDatasetId, resultsToUpdate, options);
-        this.log(`DataGathererFramework::retrieve, batch appends ` +
-          `${resultsToUpdate.length} results.`);
-        resultsToUpdate = [];
+    // Collect errors from all gatherers.
+    newResult.errors = this.getOverallErrors(newResult);
+
+    // After each run
+    extResponse = this.runExtensions(extensions, 'afterRun', {
+      source: source,
+      result: newResult,
+    });
+    newResult.errors = newResult.errors.concat(extResponse.errors);
+
+    // Move child rows of gatherers to child Results.
+    if (options.childDatasetId) {
+      gathererNames.forEach(gathererName => {
+        let response = newResult[gathererName];
+        if (!response || !Array.isArray(response.childRows)) return;
+
+        response.childRows.forEach(rowData => {
+          childResults.push(this.createChildResult(newResult, gathererName,
+            rowData));
+        });
+        delete response.childRows;
+      });
+    }
+
+    // Split array data result into multiple rows.
+    if (multiRowsGatherer) {
+      let data = newResult[multiRowsGatherer].data || [];
+      if (Array.isArray(data)) {
+        data.forEach(rowData => {
+          newResults.push(this.createChildResult(newResult, multiRowsGatherer,
+            rowData));
+        });
+      }
+
+      // Duplicates point to the first row, as the Result itself isn't
+      // written.
+      if (contentHashItem && newResults.length > 0) {
+        contentHashItem.resultId = newResults[0].id;
       }
+
+    } else {
+      newResults.push(newResult);
     }
 
-    // Update the remaining.
-    await this.connector.appendDataList(destDatasetId, resultsToUpdate, options);
+    if (resolveOriginal) resolveOriginal(contentHashItem);
 
-    return allNewResults;
+    return {
+      results: newResults,
+      childResults: childResults,
+      contentHashItems: contentHashItems,
+    };
+  }
+
+  /**
+   * Return the content hashes of processed sources of a destination dataset
+   * in the dedup dataset, keyed by hashes.
+   * @param {string} dedupDatasetId
+   * @param {string} destDatasetId
+   * @return {object} Content hash items keyed by hashes.
+   */
+  async getContentHashes(dedupDatasetId, destDatasetId) {
+    let items = await this.connector.getDataList(dedupDatasetId) || [];
+    let contentHashes = {};
+    items.forEach(item => {
+      if (item.contentHash && item.datasetId === destDatasetId) {
+        contentHashes[item.contentHash] = item;
+      }
+    });
+    return contentHashes;
+  }
+
+  /**
+   * Remove the content hashes of a destination dataset from the dedup
+   * dataset, e.g. when its Results are overridden.
+   * @param {string} dedupDatasetId
+   * @param {string} destDatasetId
+   */
+  async removeContentHashes(dedupDatasetId, destDatasetId) {
+    let items = await this.connector.getDataList(dedupDatasetId) || [];
+    let itemsToKeep = items.filter(item => {
+      return item.datasetId !== destDatasetId;
+    }).map(item => {
+      return {
+        contentHash: item.contentHash,
+        datasetId: item.datasetId,
+        resultId: item.resultId,
+        label: item.label,
+        url: item.url,
+        createdTimestamp: item.createdTimestamp,
+      };
+    });
+    if (itemsToKeep.length === items.length) return;
+
+    await this.connector.clearDataList(dedupDatasetId);
+    await this.connector.appendDataList(dedupDatasetId, itemsToKeep);
+  }
+
+  /**
+   * Return an item of the dedup dataset for a Result with a content hash. The
+   * datasetId of the item is set when it's appended.
+   * @param {object} result
+   * @return {object} Content hash item.
+   */
+  createContentHashItem(result) {
+    return {
+      contentHash: result.contentHash,
+      resultId: result.id,
+      label: result.label,
+      url: result.url,
+      createdTimestamp: result.createdTimestamp,
+    };
+  }
+
+  /**
+   * Return an ApiHandler that records requests and responses of the given
+   * ApiHandler to fixtures, or one that replays recorded fixtures. See
+   * `src/helpers/recording-api-handler.js` for the fixture format.
+   *
+   * Example fixtures config:
+   *   fixtures: {
+   *     mode: 'replay', // Or 'record'.
+   *     dir: 'integration/fixtures/recorded',
+   *   }
+   *
+   * @param {object} apiHandler
+   * @param {object} fixturesConfig
+   * @return {object} RecordingApiHandler or ReplayApiHandler instance.
+   */
+  getFixturesApiHandler(apiHandler, fixturesConfig) {
+    let { RecordingApiHandler, ReplayApiHandler } =
+      require('./helpers/recording-api-handler');
+
+    this.log(`Use fixtures: ${fixturesConfig.mode} ${fixturesConfig.dir}`);
+    switch ((fixturesConfig.mode || '').toLowerCase()) {
+      case 'record':
+        return new RecordingApiHandler(apiHandler, fixturesConfig.dir);
+
+      case 'replay':
+        return new ReplayApiHandler(fixturesConfig.dir);
+
+      default:
+        throw new Error(
+          `Fixtures mode ${fixturesConfig.mode} is not supported.`);
+    }
+  }
+
+  /**
+   * Return an ApiHandler that caches successful responses of the given
+   * ApiHandler. See `src/helpers/cache-api-handler.js` for the ttl, maxSize
+   * and methods of the cache config.
+   *
+   * Example cache config:
+   *   cache: {
+   *     storage: 'directory', // Or 'memory' and 'cache'.
+   *     dir: '.cache',
+   *     ttl: 86400, // In seconds.
+   *   }
+   *
+   * @param {object} apiHandler
+   * @param {object} cacheConfig
+   * @return {object} CachingApiHandler instance.
+   */
+  getCachingApiHandler(apiHandler, cacheConfig) {
+    let { CachingApiHandler, MemoryCacheStorage } =
+      require('./helpers/cache-api-handler');
+    let storage;
+
+    cacheConfig.storage = cacheConfig.storage || 'memory';
+    this.log(`Use cache storage: ${cacheConfig.storage}`);
+    switch (cacheConfig.storage.toLowerCase()) {
+      case 'memory':
+        storage = new MemoryCacheStorage();
+        break;
+
+      case 'directory':
+        let { DirectoryCacheStorage } = require('./helpers/node-helper');
+        storage = new DirectoryCacheStorage(cacheConfig.dir);
+        break;
+
+      // CacheService in Apps Script.
+      case 'cache':
+        let { ScriptCacheStorage } = require('./helpers/sheets-helper');
+        storage = new ScriptCacheStorage();
+        break;
+
+      default:
+        throw new Error(
+          `Cache storage ${cacheConfig.storage} is not supported.`);
+        break;
+    }
+    return new CachingApiHandler(apiHandler, storage, cacheConfig);
+  }
+
+  /**
+   * Set whether the CachingApiHandler sends all requests, if any.
+   * @param {boolean} bypassCache
+   */
+  setBypassCache(bypassCache) {
+    if (this.coreConfig.cache) {
+      this.apiHandler.bypass = Boolean(bypassCache);
+    }
+  }
+
+  /**
+   * Return the number of sources to run concurrently.
+   * @param {object} options
+   * @return {number}
+   */
+  getConcurrency(options) {
+    // UrlFetchApp in Apps Script is blocking, so sources always run one at a
+    // time with the Sheets helper.
+    if (this.coreConfig.helper.toLowerCase() === 'sheets') return 1;
+
+    let concurrency = parseInt(options.concurrency || this.concurrency);
+    return concurrency > 0 ? concurrency : 1;
   }
 
   /**
@@ -416,12 +992,12 @@ class DataGathererFramework {
    * - verbose {boolean}: Whether to show verbose messages in terminal.
    * - debug {boolean}: Whether to show debug messages in terminal.
    */
-  runGatherer(source, gathererName, options) {
+  async runGatherer(source, gathererName, options) {
     options = options || {};
 
     try {
       let gatherer = this.getGatherer(gathererName);
-      let response = gatherer.run(source, options);
+      let response = await gatherer.run(source, options);
       return response;
 
     } catch (error) {
@@ -435,6 +1011,47 @@ class DataGathererFramework {
     }
   }
 
+  /**
+   * Retrieve pending Results with a single gatherer, and return the responses
+   * in the same order as Results. It uses the gatherer's retrieveBatchAsync
+   * when implemented, or falls back to retrieve for each Result.
+   * @param {Array<object>} results Results to retrieve.
+   * @param {string} gathererName
+   * @param {object} options Gatherer options.
+   * @return {Array<object>} Responses from the gatherer.
+   */
+  async retrieveGatherer(results, gathererName, options) {
+    options = options || {};
+    let toErrorResponse = (error) => {
+      return {
+        status: Status.ERROR,
+        statusText: error.message,
+        metadata: {},
+        error: error.message,
+        errors: [error],
+      };
+    };
+
+    let gatherer;
+    try {
+      gatherer = this.getGatherer(gathererName);
+      let responses = await gatherer.retrieveBatchAsync(results, options);
+      if (responses) return responses;
+    } catch (error) {
+      return results.map(() => toErrorResponse(error));
+    }
+
+    let responses = [];
+    for (let result of results) {
+      try {
+        responses.push(await gatherer.retrieve(result, options));
+      } catch (error) {
+        responses.push(toErrorResponse(error));
+      }
+    }
+    return responses;
+  }
+
   /**
    * Return an empty Result object.
    * @param {object} source Source object to run.
@@ -444,11 +1061,20 @@ class DataGathererFramework {
   createNewResult(source, options) {
     let nowtime = Date.now();
 
+    // Keep the gatherers of the source and the run, for retrieving the
+    // Result later.
+    let gathererNames = this.parseGathererNames(source.gatherer);
+    gathererNames = gathererNames.concat(this.parseGathererNames(
+      (options || {}).gatherer));
+    gathererNames = [...new Set(gathererNames)];
+
     let newResult = {
-      id: nowtime,
-      gatherer: source.gatherer,
+      id: this.getNewResultId(),
+      gatherer: gathererNames.length > 0 ? gathererNames.join(',') :
+        source.gatherer,
       status: Status.SUBMITTED,
       label: source.label,
+      url: source.url,
       createdTimestamp: nowtime,
       modifiedTimestamp: nowtime,
       errors: source.errors || [],
@@ -457,6 +1083,45 @@ class DataGathererFramework {
     return newResult;
   }
 
+  /**
+   * Return a child Result of a Result, with the given row data as the data of
+   * the gatherer, and parentId of the Result.
+   * @param {object} parentResult
+   * @param {string} gathererName
+   * @param {object} rowData
+   * @return {object} A child Result object.
+   */
+  createChildResult(parentResult, gathererName, rowData) {
+    let response = parentResult[gathererName] || {};
+    let childResult = {
+      ...parentResult,
+      id: this.getNewResultId(),
+      parentId: parentResult.id,
+    };
+    if (rowData && rowData.destDatasetId) {
+      childResult.destDatasetId = rowData.destDatasetId;
+    }
+    childResult[gathererName] = {
+      status: parentResult.status,
+      statusText: response.statusText,
+      metadata: response.metadata,
+      data: rowData,
+      errors: parentResult.errors,
+    };
+    return childResult;
+  }
+
+  /**
+   * Return a unique Result id based on the current timestamp. Ids are
+   * monotonically increasing even when multiple Results are created within
+   * the same millisecond.
+   * @return {number}
+   */
+  getNewResultId() {
+    this.lastResultId = Math.max(Date.now(), (this.lastResultId || 0) + 1);
+    return this.lastResultId;
+  }
+
   /**
    * Return all data rows.
    * @param {string} datasetId
@@ -507,11 +1172,19 @@ class DataGathererFramework {
     // The overall status depends on the aggregation of all gatherers.
     // If all gatherers returne retrieved, the overall status is retrieved.
     // If any of the data source return error, the overall status is error.
-    // Otherwise, it's pending.
-    if (statuses.filter(s => s === Status.RETRIEVED).length === statuses.length) {
+    // If all gatherers are done and any of them needs review, the overall
+    // status is needs review.
+    // Otherwise, including without any gatherers, it's pending.
+    let countStatus = status => statuses.filter(s => s === status).length;
+    if (statuses.length === 0) {
+      return Status.SUBMITTED;
+    } else if (countStatus(Status.RETRIEVED) === statuses.length) {
       return Status.RETRIEVED;
-    } else if (statuses.filter(s => s === Status.ERROR).length > 0) {
+    } else if (countStatus(Status.ERROR) > 0) {
       return Status.ERROR;
+    } else if (countStatus(Status.RETRIEVED) +
+        countStatus(Status.NEEDS_REVIEW) === statuses.length) {
+      return Status.NEEDS_REVIEW;
     } else {
       return Status.SUBMITTED;
     }
@@ -536,6 +1209,11 @@ class DataGathererFramework {
       if (error) {
         overallErrors.push(`[${gathererName}] ` + error);
       }
+
+      // Add messages of invalid fields, e.g. from validation rules.
+      (result[gathererName].validationErrors || []).forEach(validationError => {
+        overallErrors.push(`[${gathererName}] ` + validationError.message);
+      });
     });
     return overallErrors.filter(e => e);
   }
@@ -21,6 +21,11 @@ class Extention {
   afterRun(context, options) { }
   beforeAllRuns(context, options) { }
   afterAllRuns(context, options) { }
+  // Retrieve
+  beforeRetrieve(context, options) { }
+  afterRetrieve(context, options) { }
+  beforeAllRetrieves(context, options) { }
+  afterAllRetrieves(context, options) { }
 }
 
 module.exports = Extention;
@@ -0,0 +1,285 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('../utils/assert');
+const Status = require('../common/status');
+const Extension = require('./extension');
+
+/**
+ * Status of a review item in the review tab.
+ */
+const ReviewStatus = {
+  PENDING: 'Pending',
+  APPLIED: 'Applied',
+  ERROR: 'Error',
+};
+
+/**
+ * The extension for reviewing flagged fields by humans. In a nutshell, it
+ * provides the following additions:
+ * - After all runs, queue fields with low confidence or validation errors,
+ *     and missing required fields, of new Results into the review tab. Each
+ *     review item has the resultId, datasetId, document url, field, extracted
+ *     value and confidence, and an editable correctedValue and approved
+ *     checkbox.
+ * - applyReviews() writes the corrected values of approved review items back
+ *     to their Results with updateDataList, and appends the original and
+ *     corrected values to the audit tab.
+ *
+ * Example config:
+ *   review: {
+ *     reviewTabId: 'Review',
+ *     auditTabId: 'Review Audit',
+ *     gathererName: 'docai',
+ *   }
+ */
+class ReviewExtension extends Extension {
+  /**
+   * @param {object} config The config for this extension, as the "review"
+   *     property in coreConfig.
+   * @param {object} envVars Environment variables.
+   */
+  constructor(config, envVars) {
+    super();
+    assert(config.connector, 'connector is missing in config.');
+
+    this.connector = config.connector;
+    this.reviewTabId = config.reviewTabId || 'Review';
+    this.auditTabId = config.auditTabId || 'Review Audit';
+    this.gathererName = config.gathererName || 'docai';
+  }
+
+  /**
+   * afterAllRuns - Queue flagged fields of new Results into the review tab.
+   * @param {object} context Context object that contains all processed
+   *     Sources and Result objects.
+   * @param {object} options Run options with destDatasetId, the dataset of
+   *     Results without their own destDatasetId.
+   */
+  afterAllRuns(context, options) {
+    options = options || {};
+    let reviewItems = [];
+    (context.results || []).forEach(result => {
+      reviewItems = reviewItems.concat(
+        this.getReviewItems(result,
+          result.destDatasetId || options.destDatasetId));
+    });
+
+    if (reviewItems.length > 0) {
+      this.connector.appendDataList(this.reviewTabId, reviewItems, options);
+    }
+  }
+
+  /**
+   * Return review items for the flagged fields of a Result: fields with
+   * `lowConfidence` or `invalid`, including each flagged item of repeated
+   * fields, and required fields that are missing.
+   * @param {object} result
+   * @param {string} datasetId The dataset of the Result.
+   * @return {Array<object>} Review items.
+   */
+  getReviewItems(result, datasetId) {
+    let response = result[this.gathererName];
+    if (!response || !response.data || Array.isArray(response.data)) return [];
+
+    let data = response.data;
+    let fields = [];
+    Object.keys(data).forEach(key => {
+      if (Array.isArray(data[key])) {
+        data[key].forEach((field, index) => {
+          fields.push({ path: `${key}[${index}]`, field: field });
+        });
+      } else {
+        fields.push({ path: key, field: data[key] });
+      }
+    });
+
+    let reviewItems = fields.filter(item => {
+      return item.field && (item.field.lowConfidence || item.field.invalid);
+    }).map(item => {
+      return this.createReviewItem(result, datasetId, item.path, item.field);
+    });
+
+    let reviewFields = (response.quality || {}).reviewFields || [];
+    reviewFields.filter(key => !data[key]).forEach(key => {
+      reviewItems.push(this.createReviewItem(result, datasetId, key, {}));
+    });
+    return reviewItems;
+  }
+
+  /**
+   * Return a review item with Status.PENDING.
+   * @param {object} result
+   * @param {string} datasetId
+   * @param {string} fieldPath Field key, or with an index for repeated fields,
+   *     e.g. "Name[1]".
+   * @param {object} field Field object with value and confidence.
+   * @return {object} Review item.
+   */
+  createReviewItem(result, datasetId, fieldPath, field) {
+    let value = field.value;
+    return {
+      resultId: result.id,
+      datasetId: datasetId,
+      label: result.label,
+      url: field.pageUrl || result.url,
+      pageNumber: field.pageNumber || null,
+      field: fieldPath,
+      value: typeof value === 'undefined' ? null : value,
+      confidence: typeof field.confidence === 'undefined' ? null :
+        field.confidence,
+      validationError: field.validationError || null,
+      correctedValue: null,
+      approved: false,
+      reviewStatus: ReviewStatus.PENDING,
+    };
+  }
+
+  /**
+   * Write the corrected values of approved review items back to their
+   * Results. An approved item without a corrected value keeps the extracted
+   * value. Each field keeps its extracted value as `originalValue`, and each
+   * correction is appended to the audit tab. A Result that needs review
+   * becomes retrieved when all of its review items are applied.
+   *
+   * Available options:
+   * - reviewer {string}: The reviewer recorded in the audit trail, e.g. the
+   *     email of the active user.
+   *
+   * @param {object} options
+   * @return {object} The number of applied review items and errors.
+   */
+  applyReviews(options) {
+    options = options || {};
+    let now = Date.now();
+    let reviewItems = this.connector.getDataList(this.reviewTabId);
+    let approvedItems = reviewItems.filter(item => {
+      return this.isTrue(item.approved) &&
+        item.reviewStatus !== ReviewStatus.APPLIED;
+    });
+
+    let itemsByDataset = {};
+    approvedItems.forEach(item => {
+      itemsByDataset[item.datasetId] = itemsByDataset[item.datasetId] || [];
+      itemsByDataset[item.datasetId].push(item);
+    });
+
+    let auditItems = [], errors = [];
+    Object.keys(itemsByDataset).forEach(datasetId => {
+      let resultMap = {};
+      this.connector.getDataList(datasetId).forEach(result => {
+        resultMap[String(result.id)] = result;
+      });
+
+      let updatedResults = [];
+      itemsByDataset[datasetId].forEach(item => {
+        let result = resultMap[String(item.resultId)];
+        if (!result) {
+          item.reviewStatus = ReviewStatus.ERROR;
+          errors.push(`Result ${item.resultId} not found in ${datasetId}`);
+          return;
+        }
+
+        let field = this.getField(result, item.field);
+        let isCorrected = item.correctedValue !== null &&
+          typeof item.correctedValue !== 'undefined' &&
+          item.correctedValue !== '';
+        let originalValue = field.hasOwnProperty('originalValue') ?
+          field.originalValue : field.value;
+        let correctedValue = isCorrected ? item.correctedValue : field.value;
+
+        field.originalValue = originalValue;
+        field.value = correctedValue;
+        field.reviewed = true;
+        auditItems.push({
+          resultId: item.resultId,
+          datasetId: datasetId,
+          field: item.field,
+          originalValue: originalValue,
+          correctedValue: correctedValue,
+          reviewer: options.reviewer || null,
+          reviewedTimestamp: now,
+        });
+
+        item.reviewStatus = ReviewStatus.APPLIED;
+        item.reviewer = options.reviewer || null;
+        item.reviewedTimestamp = now;
+        if (!updatedResults.includes(result)) updatedResults.push(result);
+      });
+
+      updatedResults.forEach(result => {
+        let hasPendingItems = reviewItems.some(item => {
+          return item.datasetId === datasetId &&
+            String(item.resultId) === String(result.id) &&
+            item.reviewStatus !== ReviewStatus.APPLIED;
+        });
+        if (!hasPendingItems && result.status === Status.NEEDS_REVIEW) {
+          result.status = Status.RETRIEVED;
+          if (result[this.gathererName]) {
+            result[this.gathererName].status = Status.RETRIEVED;
+          }
+        }
+        result.modifiedTimestamp = now;
+      });
+      this.connector.updateDataList(datasetId, updatedResults, options);
+    });
+
+    if (approvedItems.length > 0) {
+      this.connector.updateDataList(this.reviewTabId, approvedItems, options);
+    }
+    if (auditItems.length > 0) {
+      this.connector.appendDataList(this.auditTabId, auditItems, options);
+    }
+
+    return {
+      applied: auditItems.length,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Return the field object of a Result at a field path like "ssn" or
+   * "Name[1]", creating it if it doesn't exist.
+   * @param {object} result
+   * @param {string} fieldPath
+   * @return {object} Field object.
+   */
+  getField(result, fieldPath) {
+    let response = result[this.gathererName] = result[this.gathererName] || {};
+    let data = response.data = response.data || {};
+
+    let matches = fieldPath.match(/^(.*)\[(\d+)\]$/);
+    if (matches && Array.isArray(data[matches[1]])) {
+      let fields = data[matches[1]];
+      let index = parseInt(matches[2]);
+      return fields[index] = fields[index] || {};
+    }
+    return data[fieldPath] = data[fieldPath] || {};
+  }
+
+  /**
+   * Return whether a cell value is true, e.g. a checked checkbox or "TRUE".
+   * @param {object} value
+   * @return {boolean}
+   */
+  isTrue(value) {
+    return value === true || String(value).toLowerCase() === 'true';
+  }
+}
+
+module.exports = ReviewExtension;
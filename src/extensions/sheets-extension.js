@@ -108,6 +108,19 @@ class SheetsExtension extends Extension {
     // });
   }
 
+  /**
+   * afterRetrieve - Update modifiedDatetime of the retrieved Result.
+   * @param {object} context Context object that contains the Result object.
+   */
+  afterRetrieve(context, options) {
+    let result = context.result;
+
+    if (result && result.modifiedTimestamp) {
+      result.modifiedDatetime = SheetsHelper.getFormattedDate(
+        new Date(result.modifiedTimestamp), this.userTimeZone, 'MM/dd/YYYY HH:mm:ss');
+    }
+  }
+
   /**
    * Returns the SheetsHelper for unit test purpose.
    * @return {object}
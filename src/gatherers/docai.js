@@ -19,6 +19,37 @@
 const assert = require('../utils/assert');
 const Status = require('../common/status');
 const Gatherer = require('./gatherer');
+const { retry } = require('../utils/retry');
+const { getSimilarity, normalizeKey } = require('../utils/similarity');
+const { transform } = require('../utils/transform');
+const { validate } = require('../utils/validate');
+const { SupportedMimeTypes, detectMimeType, getMimeTypeFromFileName } =
+  require('../utils/mime-type');
+
+const DefaultLocation = 'us';
+const SupportedApiVersions = ['v1', 'v1beta3'];
+const StorageEndpoint = 'https://storage.googleapis.com';
+
+// What a processed Document is returned as.
+const OutputMode = {
+  FIELDS: 'fields', // Fields keyed by entity types or form field labels.
+  TEXT: 'text', // The full text, per-page text and detected languages.
+  SPLIT: 'split', // One row per sub-document of a splitter or classifier.
+};
+
+// Options of a class route that override the gatherer options when
+// processing the pages of a sub-document.
+const RouteOptionKeys = ['processorId', 'location', 'apiEndpoint',
+  'apiVersion', 'duplicateKeys', 'minConfidence', 'keyMatchThreshold'];
+
+// Strategies for form fields with the same label, e.g. "Date" on multiple
+// pages.
+const DuplicateKeys = {
+  OVERWRITE: 'overwrite', // The last field wins.
+  ARRAY: 'array', // Collect all fields into an array.
+  SUFFIX: 'suffix', // "Name", "Name (2)", "Name (3)", ...
+  PAGE: 'page', // "Date (page 1)", "Date (page 3)", ...
+};
 
 class DocaiGatherer extends Gatherer {
   constructor(config, envVars, apiHandler, gathererOptions) {
@@ -31,48 +62,254 @@ class DocaiGatherer extends Gatherer {
     this.apiHandler = apiHandler;
   };
 
-  getDocumentEntities(jsonData) {
+  getDocumentEntities(jsonData, duplicateKeys) {
     let document = jsonData.document;
 
     // Get entities from a specialized parser result.
     if (document.entities) {
-      return this.getSpecialParserEntities(document.entities);
+      return this.getSpecialParserEntities(document.entities, document.pages);
 
       // Get entities from a Form Parser result.
     } else {
       let formFields = [];
-      (document.pages || []).forEach(page => {
-        formFields = formFields.concat(page.formFields);
+      (document.pages || []).forEach((page, pageIndex) => {
+        (page.formFields || []).forEach(field => {
+          formFields.push({
+            ...field,
+            pageNumber: page.pageNumber || pageIndex + 1,
+            pageDimension: page.dimension,
+          });
+        });
       })
-      return this.getFormEntities(formFields);
+      return this.getFormEntities(formFields, duplicateKeys);
     }
   }
 
-  getSpecialParserEntities(entities) {
+  /**
+   * Return a map of entities keyed by entity types. Child properties of an
+   * entity, e.g. amount and unit_price of a line_item, are kept as nested
+   * fields like `line_item[0].amount.value`. Entities with child properties,
+   * or with a type that appears multiple times, are collected into arrays.
+   * Each field has the pageNumber and boundingBox of its first page anchor.
+   * @param  {Array<object>} entities Entities in a specialized parser result.
+   * @param  {Array<object>} pages Pages of the Document, for the page numbers
+   *     and dimensions.
+   * @return {object} Fields keyed by entity types.
+   */
+  getSpecialParserEntities(entities, pages) {
     let fieldsKeyValue = {};
+    let typeCounts = {};
+
+    entities.forEach(entity => {
+      let key = this.getEntityKey(entity);
+      typeCounts[key] = (typeCounts[key] || 0) + 1;
+    });
+
     entities.forEach(entity => {
-      let key = entity.type;
+      let key = this.getEntityKey(entity);
       let value = entity.mentionText;
       let error = null;
 
       // Remove linebreaks.
-      key = key.replace(/(\r\n|\n|\r)/gm, ' ').trim();
       if (typeof value === 'string') {
         value = value.replace(/(\r\n|\n|\r)/gm, ' ').trim();
       };
 
-      fieldsKeyValue[key] = {
+      let properties = entity.properties || [];
+      let field = {
+        ...this.getSpecialParserEntities(properties, pages),
         value: value,
         confidence: entity.confidence,
         error: error,
       };
+
+      let pageRef = ((entity.pageAnchor || {}).pageRefs || [])[0];
+      if (pageRef) {
+        // Page indexes start at 0, and are omitted for the first page.
+        let pageIndex = parseInt(pageRef.page || 0);
+        let page = (pages || [])[pageIndex] || {};
+        field.pageNumber = page.pageNumber || pageIndex + 1;
+        field.boundingBox = this.getBoundingBox(pageRef.boundingPoly,
+          page.dimension);
+      }
+      if (entity.normalizedValue) {
+        field.normalizedValue = this.getNormalizedValue(entity.normalizedValue);
+      }
+
+      if (typeCounts[key] > 1 || properties.length > 0) {
+        fieldsKeyValue[key] = (fieldsKeyValue[key] || []).concat([field]);
+      } else {
+        fieldsKeyValue[key] = field;
+      }
     });
 
     return fieldsKeyValue;
   }
 
-  getFormEntities(formFields) {
-    let fieldsKeyValue = {};
+  /**
+   * Return a typed value from the normalizedValue of an entity, with the type,
+   * the value and the normalized text:
+   * - date: ISO date string, e.g. "2022-01-31".
+   * - datetime: ISO datetime string, e.g. "2022-01-31T08:30:00".
+   * - money: Numeric amount, with currencyCode, e.g. "USD".
+   * - address: Normalized text, with the address components in address.
+   * - boolean, number: Boolean or numeric value.
+   * - text: Normalized text.
+   * @param  {object} normalizedValue NormalizedValue of an entity.
+   * @return {object} Typed value.
+   */
+  getNormalizedValue(normalizedValue) {
+    let text = normalizedValue.text;
+    let pad = (number, length) => {
+      return (number || 0).toString().padStart(length || 2, '0');
+    };
+
+    let date = normalizedValue.dateValue || normalizedValue.datetimeValue;
+    if (date && date.year && date.month && date.day) {
+      let value = `${pad(date.year, 4)}-${pad(date.month)}-${pad(date.day)}`;
+      if (normalizedValue.datetimeValue) {
+        return {
+          type: 'datetime',
+          value: `${value}T${pad(date.hours)}:${pad(date.minutes)}:${pad(date.seconds)}`,
+          text: text,
+        };
+      }
+      return {
+        type: 'date',
+        value: value,
+        text: text,
+      };
+    }
+
+    let money = normalizedValue.moneyValue;
+    if (money) {
+      // Units are int64 strings, and nanos have the same sign as units.
+      let amount = parseInt(money.units || 0) + (money.nanos || 0) / 1e9;
+      return {
+        type: 'money',
+        value: Math.round(amount * 1e9) / 1e9,
+        currencyCode: money.currencyCode,
+        text: text,
+      };
+    }
+
+    if (normalizedValue.addressValue) {
+      return {
+        type: 'address',
+        value: text,
+        text: text,
+        address: normalizedValue.addressValue,
+      };
+    }
+
+    if (typeof normalizedValue.booleanValue === 'boolean') {
+      return {
+        type: 'boolean',
+        value: normalizedValue.booleanValue,
+        text: text,
+      };
+    }
+
+    let number = typeof normalizedValue.integerValue !== 'undefined' ?
+      normalizedValue.integerValue : normalizedValue.floatValue;
+    if (typeof number !== 'undefined') {
+      return {
+        type: 'number',
+        value: Number(number),
+        text: text,
+      };
+    }
+
+    return {
+      type: 'text',
+      value: text,
+      text: text,
+    };
+  }
+
+  /**
+   * Return the bounding box of a boundingPoly with left, top, right and bottom
+   * between 0 and 1, relative to the page size. Vertices in pixels are
+   * normalized with the page dimension.
+   * @param  {object} boundingPoly BoundingPoly with normalizedVertices or
+   *     vertices.
+   * @param  {object} dimension Page dimension with width and height.
+   * @return {object} Bounding box, or null if there's none.
+   */
+  getBoundingBox(boundingPoly, dimension) {
+    if (!boundingPoly) return null;
+
+    // Zero coordinates are omitted in DocAI responses.
+    let vertices = (boundingPoly.normalizedVertices || []).map(vertex => {
+      return { x: vertex.x || 0, y: vertex.y || 0 };
+    });
+    if (vertices.length === 0 && dimension && dimension.width &&
+        dimension.height) {
+      vertices = (boundingPoly.vertices || []).map(vertex => {
+        return {
+          x: (vertex.x || 0) / dimension.width,
+          y: (vertex.y || 0) / dimension.height,
+        };
+      });
+    }
+    if (vertices.length === 0) return null;
+
+    let round = value => Math.round(value * 10000) / 10000;
+    let xs = vertices.map(vertex => vertex.x);
+    let ys = vertices.map(vertex => vertex.y);
+    return {
+      left: round(Math.min(...xs)),
+      top: round(Math.min(...ys)),
+      right: round(Math.max(...xs)),
+      bottom: round(Math.max(...ys)),
+    };
+  }
+
+  /**
+   * Add the pageUrl of each field with a pageNumber, i.e. the url of the
+   * source file with the page, e.g.
+   * "https://drive.google.com/file/d/<id>/view#page=2".
+   * @param  {object} data Fields keyed by keys.
+   * @param  {string} url The url of the source file.
+   */
+  addPageUrls(data, url) {
+    if (!url || !data || Array.isArray(data)) return;
+
+    Object.keys(data).forEach(key => {
+      let fields = Array.isArray(data[key]) ? data[key] : [data[key]];
+      fields.forEach(field => {
+        if (field && field.pageNumber) {
+          field.pageUrl = `${url.split('#')[0]}#page=${field.pageNumber}`;
+        }
+      });
+    });
+  }
+
+  /**
+   * Return the key of an entity from its type without linebreaks. The type of
+   * a child property is prefixed with its parent type, e.g.
+   * "line_item/amount", and only the last part is used.
+   * @param  {object} entity
+   * @return {string}
+   */
+  getEntityKey(entity) {
+    let key = (entity.type || '').split('/').pop();
+    return key.replace(/(\r\n|\n|\r)/gm, ' ').trim();
+  }
+
+  /**
+   * Return a map of form fields keyed by their labels. Fields with the same
+   * label are handled with the duplicateKeys strategy:
+   * - 'overwrite' (default): The last field wins.
+   * - 'array': All fields are collected into an array.
+   * - 'suffix': Labels are suffixed with the occurrence, e.g. "Name (2)".
+   * - 'page': Labels are qualified by page number, e.g. "Date (page 3)".
+   * @param  {Array<object>} formFields Form fields with their pageNumber.
+   * @param  {string} duplicateKeys Strategy for duplicate labels.
+   * @return {object} Fields keyed by labels.
+   */
+  getFormEntities(formFields, duplicateKeys) {
+    let fields = [];
     formFields.forEach(field => {
       let key = field.fieldName.textAnchor.content;
       let valueType = field.valueType;
@@ -104,114 +341,1255 @@ class DocaiGatherer extends Gatherer {
         value = value.replace(/(\r\n|\n|\r)/gm, ' ').trim();
       };
 
-      fieldsKeyValue[key] = {
-        value: value,
-        confidence: field.fieldValue.confidence,
-        error: error,
-      };
+      fields.push({
+        key: key,
+        pageNumber: field.pageNumber,
+        field: {
+          value: value,
+          confidence: field.fieldValue.confidence,
+          error: error,
+          pageNumber: field.pageNumber,
+          boundingBox: this.getBoundingBox(field.fieldValue.boundingPoly,
+            field.pageDimension),
+        },
+      });
+    });
+
+    let keyCounts = {};
+    fields.forEach(item => {
+      keyCounts[item.key] = (keyCounts[item.key] || 0) + 1;
+    });
+
+    let fieldsKeyValue = {};
+    let occurrences = {};
+    fields.forEach(item => {
+      let key = item.key;
+      occurrences[key] = (occurrences[key] || 0) + 1;
+
+      if (keyCounts[key] > 1) {
+        switch (duplicateKeys) {
+          case DuplicateKeys.ARRAY:
+            fieldsKeyValue[key] = (fieldsKeyValue[key] || []).concat([item.field]);
+            return;
+
+          case DuplicateKeys.SUFFIX:
+            if (occurrences[key] > 1) {
+              key = this.getUniqueKey(`${key} (${occurrences[key]})`, fieldsKeyValue);
+            }
+            break;
+
+          case DuplicateKeys.PAGE:
+            key = this.getUniqueKey(`${key} (page ${item.pageNumber})`,
+              fieldsKeyValue);
+            break;
+
+          default:
+            break;
+        }
+      }
+      fieldsKeyValue[key] = item.field;
     });
     return fieldsKeyValue;
   }
 
-  remapKeys(data, keyRemapList) {
+  /**
+   * Return the key, or the key suffixed with " (<n>)" if it's already used,
+   * e.g. when a label appears twice on the same page.
+   * @param  {string} key
+   * @param  {object} fieldsKeyValue Fields with used keys.
+   * @return {string}
+   */
+  getUniqueKey(key, fieldsKeyValue) {
+    let newKey = key;
+    for (let n = 2; fieldsKeyValue.hasOwnProperty(newKey); n++) {
+      newKey = `${key} (${n})`;
+    }
+    return newKey;
+  }
+
+  /**
+   * Return the data with keys renamed by keyRemapList. Each item of an array
+   * can be renamed on its own with its index, e.g. "Name[1]". The values of
+   * fields are transformed with the transform chain of an item, e.g.
+   * "trim | date:MM/DD/YYYY". See `src/utils/transform.js` for transforms.
+   *
+   * Labels match the keys in keyRemapList exactly, or after normalization,
+   * e.g. "LAST NAME" matches "Last Name:". With matchThreshold, labels also
+   * match the most similar key with a similarity of at least the threshold.
+   * Fields matched by a different key keep the label, the matchedKey and the
+   * matchScore.
+   * @param  {object} data
+   * @param  {Array<object>} keyRemapList Items with key, newKey and transform.
+   * @param  {number} matchThreshold Min similarity between 0 and 1 for fuzzy
+   *     matching. Fuzzy matching is disabled if not set.
+   * @return {object} Data with new keys.
+   */
+  remapKeys(data, keyRemapList, matchThreshold) {
     let newData = {};
     let keyMap = {};
 
     (keyRemapList || []).forEach(item => {
-      keyMap[item['key']] = item;
+      if (item['key']) keyMap[item['key']] = item;
     });
+    let matches = this.matchKeys(Object.keys(data), Object.keys(keyMap),
+      matchThreshold);
 
     Object.keys(data).forEach(key => {
-      if (keyMap[key] && keyMap[key].newKey) {
-        newData[keyMap[key].newKey] = data[key];
+      let match = matches[key];
+      let matchedKey = match ? match.key : key;
+      let value = data[key];
+
+      if (Array.isArray(value)) {
+        let restItems = value.filter((item, index) => {
+          let itemKeyMap = keyMap[`${matchedKey}[${index}]`];
+          if (itemKeyMap && itemKeyMap.newKey) {
+            newData[itemKeyMap.newKey] = this.addKeyMatch(
+              this.transformField(item, itemKeyMap), key, match);
+            return false;
+          }
+          return true;
+        });
+        if (restItems.length === 0) return;
+        value = restItems.map(item => {
+          return this.addKeyMatch(this.transformField(item, keyMap[matchedKey]),
+            key, match);
+        });
       } else {
-        newData[key] = data[key];
+        value = this.addKeyMatch(this.transformField(value, keyMap[matchedKey]),
+          key, match);
+      }
+
+      if (keyMap[matchedKey]) {
+        newData[keyMap[matchedKey].newKey || matchedKey] = value;
+      } else {
+        newData[key] = value;
       }
     });
 
     return newData;
   }
 
-  run(source, gathererOptions) {
+  /**
+   * Return the key in keyRemapList that each label matches, with a score of 1
+   * for exact and normalized matches, or the similarity for fuzzy matches.
+   * Each key is matched by the best label only, and exact matches come first.
+   * @param  {Array<string>} labels Labels in the document.
+   * @param  {Array<string>} keys Keys in keyRemapList, e.g. "Name" or
+   *     "Name[1]".
+   * @param  {number} matchThreshold Min similarity for fuzzy matching.
+   * @return {object} Matches keyed by labels, with key, score and exact.
+   */
+  matchKeys(labels, keys, matchThreshold) {
+    let threshold = parseFloat(matchThreshold);
+    let candidates = [...new Set(keys.map(key => key.replace(/\[\d+\]$/, '')))];
+    let matches = {};
+
+    labels.forEach(label => {
+      if (candidates.includes(label)) {
+        matches[label] = { key: label, score: 1, exact: true };
+        return;
+      }
+
+      let normalizedLabel = normalizeKey(label);
+      candidates.forEach(key => {
+        let score = normalizeKey(key) === normalizedLabel ? 1 :
+          (isNaN(threshold) ? 0 : getSimilarity(label, key));
+        if (score < (isNaN(threshold) ? 1 : threshold)) return;
+        if (!matches[label] || score > matches[label].score) {
+          matches[label] = { key: key, score: score, exact: false };
+        }
+      });
+    });
+
+    // When multiple labels match the same key, keep the best one.
+    let bestLabels = {};
+    Object.keys(matches).forEach(label => {
+      let match = matches[label];
+      let bestMatch = matches[bestLabels[match.key]];
+      if (!bestMatch || (match.exact && !bestMatch.exact) ||
+          (match.exact === bestMatch.exact && match.score > bestMatch.score)) {
+        bestLabels[match.key] = label;
+      }
+    });
+    Object.keys(matches).forEach(label => {
+      if (bestLabels[matches[label].key] !== label) delete matches[label];
+    });
+    return matches;
+  }
+
+  /**
+   * Return a copy of a field with the label, matchedKey and matchScore of a
+   * non-exact key match, or the field itself otherwise.
+   * @param  {object} field Field object.
+   * @param  {string} label The label in the document.
+   * @param  {object} match Match of the label from matchKeys().
+   * @return {object} Field object.
+   */
+  addKeyMatch(field, label, match) {
+    if (!match || match.exact || !field || typeof field !== 'object') {
+      return field;
+    }
+    return {
+      ...field,
+      label: label,
+      matchedKey: match.key,
+      matchScore: Math.round(match.score * 1000) / 1000,
+    };
+  }
+
+  /**
+   * Return a copy of a field with its value transformed by the transform
+   * chain of a keyRemapList item, or the field itself without transforms.
+   * @param  {object} field Field object with value and confidence.
+   * @param  {object} keyRemapItem Item with transform.
+   * @return {object} Field object.
+   */
+  transformField(field, keyRemapItem) {
+    if (!keyRemapItem || !keyRemapItem.transform || !field ||
+        typeof field !== 'object' || !field.hasOwnProperty('value')) {
+      return field;
+    }
+    return {
+      ...field,
+      value: transform(field.value, keyRemapItem.transform),
+    };
+  }
+
+  async run(source, gathererOptions) {
     try {
-      let fieldKeyOnly = gathererOptions.fieldKeyOnly;
-      let keyRemapList = gathererOptions.keyRemapList;
       let projectId = gathererOptions.projectId;
       let processorId = gathererOptions.processorId;
       let authorization = gathererOptions.authorization;
       let documentType = source.documentType;
       let contentBase64 = source.contentBase64;
-      let outputData = {};
 
       assert(projectId, 'projectId is missing in gathererOptions');
       assert(processorId, 'processorId is missing in gathererOptions');
       assert(authorization, 'authorization is missing in gathererOptions');
+
+      if (gathererOptions.batchProcess) {
+        return await this.submitBatchProcess(source, gathererOptions);
+      }
       assert(contentBase64, 'contentBase64 is missing in gathererOptions');
 
-      // Make API call to DocAI endpoint.
-      let requestOptions = {
-        'payload': {
-          'rawDocument': {
-            'mimeType': 'application/pdf',
-            'content': contentBase64,
-          }
+      let { response, metadata, url } = await this.processDocument(source,
+        gathererOptions);
+      if (response.statusCode !== 200) {
+        return this.getErrorResponse(response, url, metadata);
+      }
+
+      let responseJson = JSON.parse(response.body);
+      if (gathererOptions.outputMode === OutputMode.SPLIT &&
+          !gathererOptions.fieldKeyOnly) {
+        return await this.getSplitResponse(responseJson.document, source,
+          metadata, gathererOptions);
+      }
+
+      let retrievedResponse = this.getRetrievedResponse(responseJson.document,
+        documentType, metadata, gathererOptions);
+      this.addPageUrls(retrievedResponse.data, source.url);
+      return this.addHumanReviewStatus(retrievedResponse,
+        responseJson.humanReviewStatus);
+
+    } catch (e) {
+      // console.error(e);
+
+      return {
+        status: Status.ERROR,
+        statusText: 'Error',
+        error: e.message,
+        errorDetail: e,
+      }
+    }
+  }
+
+  /**
+   * Send the raw document of a source to the processor in gathererOptions.
+   * @param  {object} source A source object with contentBase64.
+   * @param  {object} gathererOptions Options object.
+   * @param  {object} processOptions Optional processOptions of the request,
+   *     e.g. {individualPageSelector: {pages: [1, 2]}}.
+   * @return {object} The response, metadata with retry attempts and the URL.
+   */
+  async processDocument(source, gathererOptions, processOptions) {
+    let requestOptions = {
+      'payload': {
+        'rawDocument': {
+          'mimeType': this.getMimeType(source),
+          'content': source.contentBase64,
+        }
+      },
+      'headers': {
+        'Authorization': gathererOptions.authorization,
+      },
+    };
+    if (processOptions) {
+      requestOptions.payload.processOptions = processOptions;
+    }
+
+    let url = `${this.getProcessorUrl(gathererOptions)}:process`;
+    let { response, metadata } = await this.sendRequest(() => {
+      return this.apiHandler.post(url, requestOptions);
+    }, gathererOptions);
+    return {
+      response: response,
+      metadata: metadata,
+      url: url,
+    };
+  }
+
+  /**
+   * Return the MIME type of a source from source.mimeType, the magic bytes of
+   * source.contentBase64, or the file extension of source.gcsUri or
+   * source.fileName, in that order. Throws an error for unsupported types.
+   * @param  {object} source A source object.
+   * @return {string} MIME type.
+   */
+  getMimeType(source) {
+    let mimeType = source.mimeType || detectMimeType(source.contentBase64) ||
+      getMimeTypeFromFileName(source.gcsUri || source.fileName);
+
+    assert(mimeType, 'Unable to detect the MIME type of the document. ' +
+      `Supported types: ${SupportedMimeTypes.join(', ')}`);
+    assert(SupportedMimeTypes.includes(mimeType),
+      `MIME type ${mimeType} is not supported. ` +
+      `Supported types: ${SupportedMimeTypes.join(', ')}`);
+    return mimeType;
+  }
+
+  /**
+   * Submit a document in Cloud Storage to the :batchProcess endpoint, and
+   * return a response with Status.SUBMITTED and the long-running operation
+   * name in metadata. The output is collected later by retrieve().
+   * @param  {object} source A source object with gcsUri.
+   * @param  {object} gathererOptions Options with gcsOutputUri.
+   * @return {object} Response object.
+   */
+  async submitBatchProcess(source, gathererOptions) {
+    let gcsOutputUri = gathererOptions.gcsOutputUri;
+
+    assert(source.gcsUri, 'gcsUri is missing in source');
+    assert(gcsOutputUri, 'gcsOutputUri is missing in gathererOptions');
+    let mimeType = this.getMimeType(source);
+
+    let requestOptions = {
+      'payload': {
+        'inputDocuments': {
+          'gcsDocuments': {
+            'documents': [{
+              'gcsUri': source.gcsUri,
+              'mimeType': mimeType,
+            }],
+          },
         },
-        'headers': {
-          'Authorization': authorization,
+        'documentOutputConfig': {
+          'gcsOutputConfig': {
+            'gcsUri': gcsOutputUri,
+          },
         },
-      };
-      let url = `https://us-documentai.googleapis.com/v1/projects/${projectId}/locations/us/processors/${processorId}:process`;
-      let response = this.apiHandler.post(url, requestOptions);
+      },
+      'headers': {
+        'Authorization': gathererOptions.authorization,
+      },
+    };
+    let url = `${this.getProcessorUrl(gathererOptions)}:batchProcess`;
+    let { response, metadata } = await this.sendRequest(() => {
+      return this.apiHandler.post(url, requestOptions);
+    }, gathererOptions);
+
+    if (response.statusCode !== 200) {
+      return this.getErrorResponse(response, url, metadata);
+    }
+
+    let operation = JSON.parse(response.body);
+    return {
+      status: Status.SUBMITTED,
+      statusText: 'Submitted',
+      metadata: {
+        ...metadata,
+        operationName: operation.name,
+        documentType: source.documentType,
+      },
+    };
+  }
+
+  /**
+   * Poll the long-running operation of a Result submitted by batchProcess.
+   * When the operation is done, collect the output Document JSON shards from
+   * Cloud Storage and return the extracted data.
+   * @param  {object} result A Result object with docai.metadata.operationName.
+   * @param  {object} gathererOptions Options object.
+   * @return {object} Response object, with Status.SUBMITTED if the operation
+   *     is still running.
+   */
+  async retrieve(result, gathererOptions) {
+    gathererOptions = gathererOptions || {};
+    let docaiResult = result.docai || {};
+    let metadata = docaiResult.metadata || {};
+
+    try {
+      let operationName = metadata.operationName;
+      let authorization = gathererOptions.authorization;
+      assert(operationName, 'operationName is missing in docai.metadata');
+      assert(authorization, 'authorization is missing in gathererOptions');
+
+      // Use the location of the operation unless specified.
+      let locationMatches = operationName.match(/\/locations\/([^/]+)\//);
+      let url = `${this.getApiBaseUrl({
+        ...gathererOptions,
+        location: gathererOptions.location ||
+          (locationMatches ? locationMatches[1] : null),
+      })}/${operationName}`;
+      let { response } = await this.sendRequest(() => {
+        return this.apiHandler.get(url, {
+          headers: { 'Authorization': authorization },
+        });
+      }, gathererOptions);
+
       if (response.statusCode !== 200) {
+        return this.getErrorResponse(response, url, metadata);
+      }
+
+      let operation = JSON.parse(response.body);
+      let operationMetadata = operation.metadata || {};
+      if (!operation.done) {
+        return {
+          ...docaiResult,
+          status: Status.SUBMITTED,
+          metadata: {
+            ...metadata,
+            state: operationMetadata.state,
+          },
+        };
+      }
+
+      let processStatus = (operationMetadata.individualProcessStatuses || [])[0] || {};
+      let error = operation.error || processStatus.status;
+      if (error && error.code) {
         return {
           status: Status.ERROR,
           statusText: 'Error',
-          metadata: {},
-          error: this.getErrorMessage(response),
-          errorDetail: `Sent request to ${url}`,
-          errorResponse: response,
+          metadata: metadata,
+          error: error.message,
+          errorDetail: `Operation ${operationName} failed`,
         };
       }
 
-      let responseJson = JSON.parse(response.body);
-      let entities = this.getDocumentEntities(responseJson);
+      let document = await this.getBatchOutputDocument(
+        processStatus.outputGcsDestination, gathererOptions);
+      if (gathererOptions.outputMode === OutputMode.SPLIT &&
+          !gathererOptions.fieldKeyOnly) {
+        return await this.getSplitResponse(document, { url: result.url }, {
+          ...metadata,
+          state: operationMetadata.state,
+        }, gathererOptions);
+      }
 
-      if (fieldKeyOnly) {
-        outputData = [];
+      let retrievedResponse = this.getRetrievedResponse(document,
+        metadata.documentType, {
+          ...metadata,
+          state: operationMetadata.state,
+        }, gathererOptions);
+      this.addPageUrls(retrievedResponse.data, result.url);
+      return retrievedResponse;
 
-        Object.keys(entities).forEach(key => {
-          outputData.push({
-            documentType: documentType,
-            key: key,
-            newKey: key,
-            sampleValue: entities[key].value,
+    } catch (e) {
+      return {
+        status: Status.ERROR,
+        statusText: 'Error',
+        metadata: metadata,
+        error: e.message,
+        errorDetail: e,
+      }
+    }
+  }
+
+  /**
+   * Download all Document JSON shards in the Cloud Storage output destination
+   * of a batchProcess operation and merge them into a single Document.
+   * @param  {string} gcsUri Output destination, e.g. gs://bucket/output/123/0
+   * @param  {object} gathererOptions Options object.
+   * @return {object} Document object.
+   */
+  async getBatchOutputDocument(gcsUri, gathererOptions) {
+    let matches = (gcsUri || '').match(/^gs:\/\/([^/]+)\/?(.*)$/);
+    assert(matches, `Invalid output destination: ${gcsUri}`);
+
+    let bucket = matches[1];
+    let prefix = matches[2] ? matches[2].replace(/\/?$/, '/') : '';
+    let storageEndpoint = gathererOptions.storageEndpoint || StorageEndpoint;
+    let bucketUrl = `${storageEndpoint}/storage/v1/b/${encodeURIComponent(bucket)}/o`;
+    let requestOptions = {
+      headers: { 'Authorization': gathererOptions.authorization },
+    };
+    let getJson = async (url) => {
+      let { response } = await this.sendRequest(() => {
+        return this.apiHandler.get(url, requestOptions);
+      }, gathererOptions);
+      if (response.statusCode !== 200) {
+        throw new Error(this.getErrorMessage(response));
+      }
+      return JSON.parse(response.body);
+    };
+
+    // List all JSON objects under the output destination.
+    let objectNames = [], pageToken = null;
+    do {
+      let url = `${bucketUrl}?prefix=${encodeURIComponent(prefix)}` +
+        (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : '');
+      let listJson = await getJson(url);
+      (listJson.items || []).forEach(item => {
+        if (item.name.endsWith('.json')) objectNames.push(item.name);
+      });
+      pageToken = listJson.nextPageToken;
+    } while (pageToken);
+    assert(objectNames.length > 0, `No output documents found in ${gcsUri}`);
+
+    let shards = [];
+    for (let objectName of objectNames) {
+      shards.push(await getJson(
+        `${bucketUrl}/${encodeURIComponent(objectName)}?alt=media`));
+    }
+    return this.mergeDocumentShards(shards);
+  }
+
+  /**
+   * Merge Document shards of a batchProcess output into a single Document.
+   * Text anchors and page refs in each shard are relative to the shard, so
+   * they are shifted by the shard's textOffset and the pages of earlier
+   * shards.
+   * @param  {Array<object>} shards Document shards.
+   * @return {object} Merged Document object.
+   */
+  mergeDocumentShards(shards) {
+    let getShardIndex = (shard) => parseInt((shard.shardInfo || {}).shardIndex || 0);
+    shards = shards.slice().sort((a, b) => getShardIndex(a) - getShardIndex(b));
+
+    let document = {
+      text: '',
+      pages: [],
+      entities: [],
+    };
+    shards.forEach(shard => {
+      let textOffset = parseInt((shard.shardInfo || {}).textOffset || 0);
+      if (textOffset) this.offsetTextAnchors(shard, textOffset);
+      let pageOffset = document.pages.length;
+      if (pageOffset) this.offsetPageRefs(shard, pageOffset);
+
+      document.text += shard.text || '';
+      document.pages = document.pages.concat(shard.pages || []);
+      document.entities = document.entities.concat(shard.entities || []);
+    });
+
+    // Form Parser output has no entities.
+    if (document.entities.length === 0) delete document.entities;
+    return document;
+  }
+
+  /**
+   * Shift the indexes of all text anchors in an object by an offset.
+   * @param  {object} obj Object that may contain textAnchor properties.
+   * @param  {number} offset
+   */
+  offsetTextAnchors(obj, offset) {
+    if (!obj || typeof obj !== 'object') return;
+
+    if (obj.textAnchor && obj.textAnchor.textSegments) {
+      obj.textAnchor.textSegments.forEach(segment => {
+        segment.startIndex = (parseInt(segment.startIndex || 0) + offset).toString();
+        segment.endIndex = (parseInt(segment.endIndex || 0) + offset).toString();
+      });
+    }
+    Object.keys(obj).forEach(key => {
+      if (key !== 'textAnchor') this.offsetTextAnchors(obj[key], offset);
+    });
+  }
+
+  /**
+   * Shift the page indexes of all page anchors in an object by an offset.
+   * @param  {object} obj Object that may contain pageAnchor properties.
+   * @param  {number} offset
+   */
+  offsetPageRefs(obj, offset) {
+    if (!obj || typeof obj !== 'object') return;
+
+    if (obj.pageAnchor && obj.pageAnchor.pageRefs) {
+      obj.pageAnchor.pageRefs.forEach(pageRef => {
+        pageRef.page = (parseInt(pageRef.page || 0) + offset).toString();
+      });
+    }
+    Object.keys(obj).forEach(key => {
+      if (key !== 'pageAnchor') this.offsetPageRefs(obj[key], offset);
+    });
+  }
+
+  /**
+   * Return the response with Status.RETRIEVED for a processed Document.
+   *
+   * With gathererOptions.outputMode of 'text', the data is the text of the
+   * Document instead of fields. See getTextData().
+   *
+   * With gathererOptions.tableRows, table rows of the Document are returned
+   * as well, one header-keyed object per table row:
+   * - 'data': As the data, e.g. to split into multiple Results with
+   *     multiRowsGatherer.
+   * - 'childRows': As the childRows, e.g. to append to a child dataset with
+   *     childDatasetId.
+   * @param  {object} document Document object.
+   * @param  {string} documentType
+   * @param  {object} metadata
+   * @param  {object} gathererOptions Options object.
+   * @return {object} Response object.
+   */
+  getRetrievedResponse(document, documentType, metadata, gathererOptions) {
+    let outputMode = gathererOptions.outputMode || OutputMode.FIELDS;
+    assert(Object.values(OutputMode).includes(outputMode),
+      `Unsupported outputMode: ${outputMode}`);
+
+    let response = {
+      status: Status.RETRIEVED,
+      statusText: 'Success',
+      metadata: metadata,
+    };
+
+    // Return the text only, except for listing field keys.
+    if (outputMode === OutputMode.TEXT && !gathererOptions.fieldKeyOnly) {
+      response.data = this.getTextData(document);
+      return response;
+    }
+
+    switch (gathererOptions.tableRows) {
+      case 'data':
+        response.data = this.getTableRows(document, gathererOptions.keyRemapList,
+          gathererOptions.keyMatchThreshold);
+        break;
+
+      case 'childRows':
+        response.data = this.getOutputData(document, documentType, gathererOptions);
+        response.childRows = this.getTableRows(document,
+          gathererOptions.keyRemapList, gathererOptions.keyMatchThreshold);
+        break;
+
+      default:
+        response.data = this.getOutputData(document, documentType, gathererOptions);
+        break;
+    }
+
+    // Flag low-confidence and invalid fields of the document, except for
+    // field keys.
+    if (gathererOptions.tableRows !== 'data' && !gathererOptions.fieldKeyOnly) {
+      response.quality = this.getQuality(response.data, gathererOptions);
+      response.validationErrors = this.getValidationErrors(response.data,
+        gathererOptions.keyRemapList);
+
+      let reviewFields = response.quality.reviewFields.slice();
+      response.validationErrors.forEach(error => {
+        if (!reviewFields.includes(error.field)) reviewFields.push(error.field);
+      });
+      if (reviewFields.length > 0) {
+        response.status = Status.NEEDS_REVIEW;
+        response.statusText = `Needs review: ${reviewFields.join(', ')}`;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Validate fields with the rules in keyRemapList, e.g. the required,
+   * pattern, type, min, max and allowedValues columns in the Fields tab. See
+   * `src/utils/validate.js` for the rules. Invalid fields are marked with
+   * `invalid` and a `validationError` message.
+   * @param  {object} data Fields keyed by (remapped) keys.
+   * @param  {Array<object>} keyRemapList Items with key, newKey and rules.
+   * @return {Array<object>} Validation errors with the field, rule, value and
+   *     message.
+   */
+  getValidationErrors(data, keyRemapList) {
+    let validationErrors = [];
+
+    (keyRemapList || []).forEach(item => {
+      let key = item.newKey || item.key;
+      let fields = Array.isArray(data[key]) ? data[key] : [data[key]];
+
+      fields.forEach((field, index) => {
+        let fieldPath = Array.isArray(data[key]) ? `${key}[${index}]` : key;
+        let value = field ? field.value : null;
+        let failures = validate(value, item);
+        if (failures.length === 0) return;
+
+        if (field) {
+          field.invalid = true;
+          field.validationError = failures.map(f => f.message).join('; ');
+        }
+        failures.forEach(failure => {
+          validationErrors.push({
+            field: fieldPath,
+            rule: failure.rule,
+            value: typeof value === 'undefined' ? null : value,
+            message: `${fieldPath} ${failure.message}`,
           });
         });
-      } else {
-        outputData = entities;
-        if (keyRemapList) outputData = this.remapKeys(outputData, keyRemapList);
+      });
+    });
+    return validationErrors;
+  }
+
+  /**
+   * Add the humanReviewStatus of a process response to the response, e.g.
+   * with the state "SKIPPED" when human review is disabled for the processor.
+   * A document that is sent to human review ("IN_PROGRESS") needs review.
+   * @param  {object} response Response object.
+   * @param  {object} humanReviewStatus The humanReviewStatus of DocAI.
+   * @return {object} Response object.
+   */
+  addHumanReviewStatus(response, humanReviewStatus) {
+    if (!humanReviewStatus) return response;
+
+    response.humanReviewStatus = humanReviewStatus;
+    if (humanReviewStatus.state === 'IN_PROGRESS' &&
+        response.status === Status.RETRIEVED) {
+      response.status = Status.NEEDS_REVIEW;
+      response.statusText = 'Needs review: ' +
+        (humanReviewStatus.stateMessage || 'Human review in progress');
+    }
+    return response;
+  }
+
+  /**
+   * Flag fields with a confidence below minConfidence with `lowConfidence`,
+   * and return the quality score of the data. Each item of keyRemapList, e.g.
+   * a row in the Fields tab, can set the minConfidence of a field, which
+   * falls back to gathererOptions.minConfidence, and whether the field is
+   * required. Required fields that are missing or flagged are returned as
+   * reviewFields.
+   * @param  {object} data Fields keyed by (remapped) keys.
+   * @param  {object} gathererOptions Options with minConfidence and
+   *     keyRemapList.
+   * @return {object} The min and average confidence, lowConfidenceFields and
+   *     reviewFields.
+   */
+  getQuality(data, gathererOptions) {
+    let isSet = value => {
+      return value !== null && typeof value !== 'undefined' && value !== '';
+    };
+    let fieldOptions = {};
+    (gathererOptions.keyRemapList || []).forEach(item => {
+      fieldOptions[item.newKey || item.key] = item;
+    });
+
+    let confidences = [];
+    let lowConfidenceFields = [];
+    Object.keys(data).forEach(key => {
+      let minConfidence = (fieldOptions[key] || {}).minConfidence;
+      if (!isSet(minConfidence)) minConfidence = gathererOptions.minConfidence;
+      minConfidence = isSet(minConfidence) ? parseFloat(minConfidence) : null;
+
+      let fields = Array.isArray(data[key]) ? data[key] : [data[key]];
+      fields.forEach(field => {
+        if (!field || typeof field.confidence !== 'number') return;
+        confidences.push(field.confidence);
+
+        if (minConfidence !== null && field.confidence < minConfidence) {
+          field.lowConfidence = true;
+          if (!lowConfidenceFields.includes(key)) lowConfidenceFields.push(key);
+        }
+      });
+    });
+
+    let reviewFields = Object.keys(fieldOptions).filter(key => {
+      let required = fieldOptions[key].required;
+      if (required !== true && String(required).toLowerCase() !== 'true') {
+        return false;
       }
+      return !data[key] || lowConfidenceFields.includes(key);
+    });
+
+    let sum = confidences.reduce((total, confidence) => total + confidence, 0);
+    return {
+      minConfidence: confidences.length > 0 ? Math.min(...confidences) : null,
+      avgConfidence: confidences.length > 0 ?
+        Math.round(sum / confidences.length * 10000) / 10000 : null,
+      lowConfidenceFields: lowConfidenceFields,
+      reviewFields: reviewFields,
+    };
+  }
+
+  /**
+   * Return rows of all tables in a Form Parser Document. Each row is an object
+   * keyed by the table headers, with the value and confidence of each cell,
+   * and the tableIndex, rowIndex and pageNumber of the row.
+   * @param  {object} document Document object.
+   * @param  {Array<object>} keyRemapList Key remappings for table headers.
+   * @param  {number} keyMatchThreshold Min similarity for fuzzy matching of
+   *     table headers.
+   * @return {Array<object>} Table rows.
+   */
+  getTableRows(document, keyRemapList, keyMatchThreshold) {
+    let text = document.text || '';
+    let tableRows = [];
+    let tableIndex = 0;
+
+    (document.pages || []).forEach((page, pageIndex) => {
+      (page.tables || []).forEach(table => {
+        let headers = this.getTableHeaders(table, text);
+
+        (table.bodyRows || []).forEach((row, rowIndex) => {
+          let cellsKeyValue = {};
+          let columnIndex = 0;
+          (row.cells || []).forEach(cell => {
+            let layout = cell.layout || {};
+            let header = headers[columnIndex] || `Column ${columnIndex + 1}`;
+            cellsKeyValue[header] = {
+              value: this.getTextFromAnchor(layout.textAnchor, text),
+              confidence: layout.confidence,
+            };
+            columnIndex += cell.colSpan || 1;
+          });
+          if (keyRemapList) {
+            cellsKeyValue = this.remapKeys(cellsKeyValue, keyRemapList,
+              keyMatchThreshold);
+          }
+
+          tableRows.push({
+            tableIndex: tableIndex,
+            rowIndex: rowIndex,
+            pageNumber: page.pageNumber || pageIndex + 1,
+            ...cellsKeyValue,
+          });
+        });
+        tableIndex++;
+      });
+    });
+    return tableRows;
+  }
+
+  /**
+   * Return the header of each column in a table. Cells spanning multiple
+   * columns apply to all of them, and multiple header rows are joined with
+   * spaces. Empty headers fall back to "Column <n>", and duplicate headers
+   * are suffixed with " (<n>)".
+   * @param  {object} table Table object in a Document page.
+   * @param  {string} text Document text.
+   * @return {Array<string>} Headers.
+   */
+  getTableHeaders(table, text) {
+    let headers = [];
+    (table.headerRows || []).forEach(row => {
+      let columnIndex = 0;
+      (row.cells || []).forEach(cell => {
+        let cellText = this.getTextFromAnchor((cell.layout || {}).textAnchor, text);
+        for (let i = 0; i < (cell.colSpan || 1); i++) {
+          headers[columnIndex] = [headers[columnIndex], cellText]
+            .filter(x => x).join(' ');
+          columnIndex++;
+        }
+      });
+    });
+
+    let counts = {};
+    for (let i = 0; i < headers.length; i++) {
+      let header = headers[i] || `Column ${i + 1}`;
+      counts[header] = (counts[header] || 0) + 1;
+      headers[i] = counts[header] > 1 ? `${header} (${counts[header]})` : header;
+    }
+    return headers;
+  }
+
+  /**
+   * Return the text of a textAnchor, from its content or from its text
+   * segments in the Document text, without linebreaks.
+   * @param  {object} textAnchor
+   * @param  {string} text Document text.
+   * @param  {boolean} keepLinebreaks Whether to keep linebreaks.
+   * @return {string}
+   */
+  getTextFromAnchor(textAnchor, text, keepLinebreaks) {
+    if (!textAnchor) return '';
+
+    let content = textAnchor.content;
+    if (typeof content !== 'string') {
+      content = (textAnchor.textSegments || []).map(segment => {
+        return (text || '').substring(parseInt(segment.startIndex || 0),
+          parseInt(segment.endIndex || 0));
+      }).join('');
+    }
+    if (keepLinebreaks) return content;
+    return content.replace(/(\r\n|\n|\r)/gm, ' ').trim();
+  }
+
+  /**
+   * Return the text output of a Document: the full text, the text of each
+   * page from its layout, the page count and the detected languages with the
+   * highest confidence of each language across pages.
+   * @param  {object} document Document object.
+   * @return {object} Text data.
+   */
+  getTextData(document) {
+    let text = document.text || '';
+    let languageConfidences = {};
+
+    let pages = (document.pages || []).map((page, pageIndex) => {
+      let pageLanguages = [];
+      (page.detectedLanguages || []).forEach(language => {
+        let code = language.languageCode;
+        if (!code) return;
+        pageLanguages.push(code);
+        languageConfidences[code] = Math.max(languageConfidences[code] || 0,
+          language.confidence || 0);
+      });
 
       return {
-        status: Status.RETRIEVED,
-        statusText: 'Success',
-        metadata: {},
-        data: outputData,
-      }
+        pageNumber: page.pageNumber || pageIndex + 1,
+        text: this.getTextFromAnchor((page.layout || {}).textAnchor, text,
+          true /* keepLinebreaks */),
+        languages: pageLanguages.join(', '),
+      };
+    });
 
-    } catch (e) {
-      // console.error(e);
+    let detectedLanguages = Object.keys(languageConfidences).map(code => {
+      return { languageCode: code, confidence: languageConfidences[code] };
+    }).sort((a, b) => b.confidence - a.confidence);
 
+    return {
+      text: text,
+      pageCount: pages.length,
+      languages: detectedLanguages.map(language => language.languageCode).join(', '),
+      detectedLanguages: detectedLanguages,
+      pages: pages,
+    };
+  }
+
+  /**
+   * Return the sub-documents of a splitter or classifier Document. Splitter
+   * entities have the document class as the type and the pages of the
+   * sub-document in pageAnchor. Classifier entities have no pages, and the
+   * class with the highest confidence applies to the whole Document, or no
+   * class if there are no entities.
+   * @param  {object} document Document object.
+   * @return {Array<object>} Sub-documents with documentClass, confidence,
+   *     pageStart, pageEnd and the page numbers, sorted by pageStart. The
+   *     page numbers of the whole Document are null, and so is its pageEnd
+   *     when the Document has no pages.
+   */
+  getSubDocuments(document) {
+    let entities = document.entities || [];
+    let pageCount = (document.pages || []).length;
+
+    let subDocuments = entities.filter(entity => {
+      return ((entity.pageAnchor || {}).pageRefs || []).length > 0;
+    }).map(entity => {
+      // Page indexes start at 0, and are omitted in JSON for the first page.
+      let pageNumbers = entity.pageAnchor.pageRefs.map(pageRef => {
+        return parseInt(pageRef.page || 0) + 1;
+      }).sort((a, b) => a - b);
       return {
-        status: Status.ERROR,
-        statusText: 'Error',
-        error: e.message,
-        errorDetail: e,
+        documentClass: entity.type,
+        confidence: entity.confidence,
+        pageStart: pageNumbers[0],
+        pageEnd: pageNumbers[pageNumbers.length - 1],
+        pageNumbers: pageNumbers.filter((pageNumber, index) => {
+          return pageNumbers.indexOf(pageNumber) === index;
+        }),
+      };
+    });
+
+    // A Document without any class is a single unclassified sub-document.
+    if (subDocuments.length === 0) {
+      let entity = entities.reduce((best, entity) => {
+        return (entity.confidence || 0) > (best.confidence || 0) ? entity : best;
+      }, { type: null, confidence: 0 });
+      subDocuments.push({
+        documentClass: entity.type,
+        confidence: entity.confidence,
+        pageStart: 1,
+        pageEnd: pageCount || null,
+        pageNumbers: null,
+      });
+    }
+    return subDocuments.sort((a, b) => a.pageStart - b.pageStart);
+  }
+
+  /**
+   * Return the route of a document class in gathererOptions.classRoutes, e.g.
+   * the row of the Document Types tab for "driver_license". Classes match
+   * route keys after normalization, e.g. "driver_license" and "Driver
+   * License".
+   * @param  {string} documentClass
+   * @param  {object} classRoutes Routes keyed by document class, each with
+   *     documentType, destDatasetId, processorId and keyRemapList.
+   * @return {object} The route, or null if there's none.
+   */
+  getClassRoute(documentClass, classRoutes) {
+    classRoutes = classRoutes || {};
+    if (classRoutes[documentClass]) return classRoutes[documentClass];
+
+    let key = Object.keys(classRoutes).find(key => {
+      return normalizeKey(key) === normalizeKey(documentClass);
+    });
+    return key ? classRoutes[key] : null;
+  }
+
+  /**
+   * Return the response of a splitter or classifier Document: the data is an
+   * array of sub-documents, one row each with multiRowsGatherer. Each row has
+   * the destDatasetId of its class route, and the fields of its pages
+   * processed with the processorId of the route, if any. Pages are only
+   * processed again when the source has contentBase64. Sub-documents with a
+   * confidence below gathererOptions.minClassConfidence, or of a class
+   * without a route, are unclassified and have no destDatasetId.
+   * @param  {object} document Document object.
+   * @param  {object} source A source object.
+   * @param  {object} metadata
+   * @param  {object} gathererOptions Options with classRoutes.
+   * @return {object} Response object.
+   */
+  async getSplitResponse(document, source, metadata, gathererOptions) {
+    let response = {
+      status: Status.RETRIEVED,
+      statusText: 'Success',
+      metadata: metadata,
+      data: [],
+    };
+    let errors = [], reviewRows = [];
+
+    let minClassConfidence = parseFloat(gathererOptions.minClassConfidence) || 0;
+
+    for (let subDocument of this.getSubDocuments(document)) {
+      // Sub-documents below the confidence floor are left unclassified.
+      let isClassified = subDocument.documentClass &&
+        (subDocument.confidence || 0) >= minClassConfidence;
+      let route = (isClassified && this.getClassRoute(
+        subDocument.documentClass, gathererOptions.classRoutes)) || {};
+      let pages = null;
+      if (subDocument.pageEnd) {
+        pages = subDocument.pageStart === subDocument.pageEnd ?
+          `${subDocument.pageStart}` :
+          `${subDocument.pageStart}-${subDocument.pageEnd}`;
+      }
+      let rowData = {};
+
+      if (route.processorId && source.contentBase64) {
+        let subResponse = await this.getSubDocumentResponse(source,
+          subDocument.pageNumbers, route, gathererOptions);
+        if (subResponse.status === Status.ERROR) {
+          errors.push(`Pages ${pages || 'all'} (${subDocument.documentClass}): ` +
+            subResponse.error);
+        } else {
+          rowData = subResponse.data;
+          if (subResponse.status === Status.NEEDS_REVIEW) {
+            reviewRows.push(`pages ${pages || 'all'}`);
+          }
+        }
       }
+
+      response.data.push({
+        ...rowData,
+        documentClass: subDocument.documentClass,
+        documentType: route.documentType || null,
+        confidence: subDocument.confidence,
+        pageStart: subDocument.pageStart,
+        pageEnd: subDocument.pageEnd,
+        pages: pages,
+        pageUrl: source.url ?
+          `${source.url.split('#')[0]}#page=${subDocument.pageStart}` : null,
+        classified: Boolean(route.documentType),
+        destDatasetId: route.destDatasetId || null,
+      });
+    }
+
+    if (errors.length > 0) {
+      response.status = Status.ERROR;
+      response.statusText = 'Error';
+      response.error = errors.join('; ');
+    } else if (reviewRows.length > 0) {
+      response.status = Status.NEEDS_REVIEW;
+      response.statusText = `Needs review: ${reviewRows.join(', ')}`;
     }
+    return response;
+  }
+
+  /**
+   * Process the pages of a sub-document with the processor of its class
+   * route, and return the response with its fields. Options of the route like
+   * location override the ones of the splitter or classifier.
+   * @param  {object} source A source object with contentBase64.
+   * @param  {Array<number>} pageNumbers Pages of the sub-document, or null to
+   *     process the whole document.
+   * @param  {object} route Class route with processorId, keyRemapList and
+   *     the options in RouteOptionKeys.
+   * @param  {object} gathererOptions Options object.
+   * @return {object} Response object.
+   */
+  async getSubDocumentResponse(source, pageNumbers, route, gathererOptions) {
+    let subOptions = {
+      ...gathererOptions,
+      keyRemapList: route.keyRemapList,
+      outputMode: OutputMode.FIELDS,
+      tableRows: null,
+    };
+    RouteOptionKeys.forEach(key => {
+      if (route[key] !== null && typeof route[key] !== 'undefined' &&
+          route[key] !== '') {
+        subOptions[key] = route[key];
+      }
+    });
+    let processOptions = pageNumbers ?
+      { individualPageSelector: { pages: pageNumbers } } : null;
+    let { response, metadata, url } = await this.processDocument(source,
+      subOptions, processOptions);
+    if (response.statusCode !== 200) {
+      return this.getErrorResponse(response, url, metadata);
+    }
+
+    let responseJson = JSON.parse(response.body);
+    let subResponse = this.getRetrievedResponse(responseJson.document,
+      route.documentType, metadata, subOptions);
+
+    // The Document has the selected pages only, so page numbers of fields
+    // start at 1 for the first selected page.
+    Object.keys(pageNumbers ? subResponse.data : {}).forEach(key => {
+      let fields = Array.isArray(subResponse.data[key]) ?
+        subResponse.data[key] : [subResponse.data[key]];
+      fields.forEach(field => {
+        if (field && pageNumbers[field.pageNumber - 1]) {
+          field.pageNumber = pageNumbers[field.pageNumber - 1];
+        }
+      });
+    });
+    this.addPageUrls(subResponse.data, source.url);
+    return subResponse;
+  }
+
+  /**
+   * Return the output data of a Document: field keys with fieldKeyOnly, or
+   * entities with remapped keys.
+   * @param  {object} document Document object.
+   * @param  {string} documentType
+   * @param  {object} gathererOptions Options object.
+   * @return {object} Output data.
+   */
+  getOutputData(document, documentType, gathererOptions) {
+    let fieldKeyOnly = gathererOptions.fieldKeyOnly;
+    let keyRemapList = gathererOptions.keyRemapList;
+    let duplicateKeys = gathererOptions.duplicateKeys;
+    let entities = this.getDocumentEntities({ document: document },
+      duplicateKeys);
+    let outputData;
+
+    if (fieldKeyOnly) {
+      outputData = [];
+
+      Object.keys(entities).forEach(key => {
+        // List each occurrence of a duplicate form field label, e.g. "Name[0]"
+        // and "Name[1]", so that they can be remapped independently.
+        if (Array.isArray(entities[key]) && !document.entities &&
+            duplicateKeys === DuplicateKeys.ARRAY) {
+          entities[key].forEach((field, index) => {
+            outputData.push({
+              documentType: documentType,
+              key: `${key}[${index}]`,
+              newKey: `${key}[${index}]`,
+              sampleValue: field.value,
+            });
+          });
+          return;
+        }
+
+        // Use the first value of repeated entities as the sample.
+        let field = Array.isArray(entities[key]) ? entities[key][0] : entities[key];
+        outputData.push({
+          documentType: documentType,
+          key: key,
+          newKey: key,
+          sampleValue: field.value,
+        });
+      });
+    } else {
+      outputData = entities;
+      if (keyRemapList) {
+        outputData = this.remapKeys(outputData, keyRemapList,
+          gathererOptions.keyMatchThreshold);
+      }
+    }
+    return outputData;
+  }
+
+  /**
+   * Return the base URL of the DocAI API with the version, e.g.
+   * https://eu-documentai.googleapis.com/v1. The endpoint defaults to the
+   * regional endpoint of the location, and can be set to another endpoint
+   * like a local mock server with apiEndpoint.
+   * @param  {object} gathererOptions Options with location, apiEndpoint and
+   *     apiVersion.
+   * @return {string} Base URL.
+   */
+  getApiBaseUrl(gathererOptions) {
+    let location = gathererOptions.location || DefaultLocation;
+    let apiVersion = gathererOptions.apiVersion || SupportedApiVersions[0];
+    let apiEndpoint = gathererOptions.apiEndpoint ||
+      `https://${location}-documentai.googleapis.com`;
+
+    assert(SupportedApiVersions.includes(apiVersion),
+      `apiVersion ${apiVersion} is not supported. Supported versions: ` +
+      SupportedApiVersions.join(', '));
+    return `${apiEndpoint.replace(/\/+$/, '')}/${apiVersion}`;
+  }
+
+  /**
+   * Return the URL of the processor in gathererOptions, without the method.
+   * @param  {object} gathererOptions Options object.
+   * @return {string} Processor URL.
+   */
+  getProcessorUrl(gathererOptions) {
+    let location = gathererOptions.location || DefaultLocation;
+    return `${this.getApiBaseUrl(gathererOptions)}/projects/` +
+      `${gathererOptions.projectId}/locations/${location}/processors/` +
+      `${gathererOptions.processorId}`;
+  }
+
+  /**
+   * Send a request and retry transient failures like 429 and 503 with
+   * gathererOptions.retry.
+   * @param  {function} requestFunc Function that sends the request.
+   * @param  {object} gathererOptions Options object.
+   * @return {object} The response and metadata with retry attempts.
+   */
+  async sendRequest(requestFunc, gathererOptions) {
+    let { response, attempts, classification } = await retry(requestFunc,
+      gathererOptions.retry, (ms) => this.apiHandler.sleep(ms));
+    return {
+      response: response,
+      metadata: {
+        retry: {
+          attempts: attempts,
+          classification: classification,
+        },
+      },
+    };
+  }
+
+  /**
+   * Return an error response for a non-200 API response.
+   * @param  {object} response Response object from ApiHandler.
+   * @param  {string} url Request URL.
+   * @param  {object} metadata
+   * @return {object} Response object with Status.ERROR.
+   */
+  getErrorResponse(response, url, metadata) {
+    return {
+      status: Status.ERROR,
+      statusText: 'Error',
+      metadata: metadata,
+      error: this.getErrorMessage(response),
+      errorDetail: `Sent request to ${url}`,
+      errorResponse: response,
+    };
   }
 
   getErrorMessage(response) {
+    if (!response.error) {
+      return `Request failed with status code ${response.statusCode}`;
+    }
     if (response.error.message.includes('Request is missing required authentication credential')) {
       return 'Missing required authentication token. Please check your OAuth token.';
     }
@@ -25,12 +25,13 @@ class Gatherer {
   constructor(config, envVars, apiHandler, gathererOptions) { }
 
   /**
-   * Run a single source.
+   * Run a single source. Core awaits the response, so gatherers making API
+   * calls can run asynchronously and multiple sources can run concurrently.
    * @param  {object} source A source object.
    * @param  {object} gathererOptions Options object.
-   * @return {object} Response object, including status proeprty.
+   * @return {Promise<object>} Response object, including status proeprty.
    */
-  run(source, gathererOptions) {
+  async run(source, gathererOptions) {
     return null; // Return null by default.
   }
 
@@ -16,8 +16,45 @@
 
 class ApiHandler {
   fetch(url) { }
-  get(url) { }
+  get(url, options) { }
   post(url, options) { }
+  sleep(ms) { }
+
+  /**
+   * Return the SHA-256 digest of base64 content as a hex string, i.e. the
+   * same digest as `sha256sum` of the file.
+   * @param  {string} contentBase64
+   * @return {string} Hex digest.
+   */
+  getContentHash(contentBase64) {
+    throw new Error('getContentHash is not implemented.');
+  }
+
+  /**
+   * Return the SHA-256 digest of the UTF-8 bytes of a string as a hex string.
+   * @param  {string} text
+   * @return {string} Hex digest.
+   */
+  getTextHash(text) {
+    throw new Error('getTextHash is not implemented.');
+  }
+
+  /**
+   * Return the error of a non-200 response, with the message parsed from the
+   * JSON error in the response body, e.g. `{"error": {"message": "..."}}`.
+   * @param  {number} statusCode
+   * @param  {string} body
+   * @return {object} Error object with message.
+   */
+  getResponseError(statusCode, body) {
+    let message = `Request failed with status code ${statusCode}`;
+    try {
+      message = JSON.parse(body).error.message || message;
+    } catch (e) {
+      // Use the default message if the body isn't a JSON error.
+    }
+    return { message: message };
+  }
 }
 
 module.exports = ApiHandler;
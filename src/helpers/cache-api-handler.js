@@ -0,0 +1,296 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const ApiHandler = require('./api-handler');
+
+// The storage key of the index of cached responses.
+const IndexKey = 'index';
+
+const DefaultCacheConfig = {
+  ttl: 86400, // In seconds.
+  // Total size of cached responses in characters, for storages without
+  // their own maxSize.
+  maxSize: 50 * 1024 * 1024,
+  methods: ['POST'],
+  // Non-idempotent endpoints, e.g. that start or cancel operations.
+  excludedUrls: [':batchProcess', ':reviewDocument', ':cancel'],
+};
+
+/**
+ * Return the key of a request: a hash of the method, URL and payload, so that
+ * a refreshed OAuth token still hits the cache.
+ * @param  {object} apiHandler The ApiHandler to hash with getTextHash.
+ * @param  {string} method
+ * @param  {string} url
+ * @param  {object} options Request options with payload or body.
+ * @return {string}
+ */
+function getRequestKey(apiHandler, method, url, options) {
+  options = options || {};
+  let payload = options.payload ? JSON.stringify(options.payload) :
+    (options.body || '');
+  return apiHandler.getTextHash(`${method} ${url}\n${payload}`);
+}
+
+/**
+ * A storage of cached responses in memory. Storages implement get, set and
+ * remove of string values synchronously, and may set a default maxSize.
+ */
+class MemoryCacheStorage {
+  constructor() {
+    this.values = {};
+  }
+  get(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key) ?
+      this.values[key] : null;
+  }
+  set(key, value, ttl) {
+    this.values[key] = value;
+  }
+  remove(key) {
+    delete this.values[key];
+  }
+}
+
+/**
+ * An ApiHandler that caches successful responses of another ApiHandler.
+ *
+ * Example:
+ *   let apiHandler = new CachingApiHandler(new NodeApiHandler(),
+ *     new DirectoryCacheStorage('.cache'), {ttl: 3600});
+ *
+ * Set `bypass` to true to always send requests, while still caching the new
+ * responses.
+ */
+class CachingApiHandler extends ApiHandler {
+  /**
+   * @param  {object} apiHandler The ApiHandler that sends requests.
+   * @param  {object} storage Storage with get, set and remove.
+   * @param  {object} config Cache config: ttl, maxSize, methods and
+   *     excludedUrls.
+   */
+  constructor(apiHandler, storage, config) {
+    super();
+    this.apiHandler = apiHandler;
+    this.storage = storage || new MemoryCacheStorage();
+    this.config = {
+      ...DefaultCacheConfig,
+      maxSize: this.storage.maxSize || DefaultCacheConfig.maxSize,
+    };
+    Object.keys(config || {}).forEach(key => {
+      // Skip empty values.
+      if (config[key] !== null && typeof config[key] !== 'undefined' &&
+          config[key] !== '') {
+        this.config[key] = config[key];
+      }
+    });
+    this.bypass = false;
+    this.index = null;
+  }
+
+  async fetch(url) {
+    return await this.get(url);
+  }
+
+  async get(url, options) {
+    return await this.request('GET', url, options, () => {
+      return this.apiHandler.get(url, options);
+    });
+  }
+
+  async post(url, options) {
+    return await this.request('POST', url, options, () => {
+      return this.apiHandler.post(url, options);
+    });
+  }
+
+  async sleep(ms) {
+    return await this.apiHandler.sleep(ms);
+  }
+
+  getContentHash(contentBase64) {
+    return this.apiHandler.getContentHash(contentBase64);
+  }
+
+  getTextHash(text) {
+    return this.apiHandler.getTextHash(text);
+  }
+
+  /**
+   * Return the cached response of a request, or send the request and cache
+   * its response if it's successful.
+   * @param  {string} method
+   * @param  {string} url
+   * @param  {object} options Request options with payload or body.
+   * @param  {function} requestFunc Function that sends the request.
+   * @return {object} Response object, with `cached` if it's from the cache.
+   */
+  async request(method, url, options, requestFunc) {
+    if (!this.config.methods.includes(method) ||
+        this.config.excludedUrls.some(part => url.includes(part))) {
+      return await requestFunc();
+    }
+
+    let key = this.getCacheKey(method, url, options);
+    if (!this.bypass) {
+      let cachedResponse = this.getCachedResponse(key);
+      if (cachedResponse) return cachedResponse;
+    }
+
+    let response = await requestFunc();
+    if (response && response.statusCode === 200) {
+      this.setCachedResponse(key, response);
+    }
+    return response;
+  }
+
+  /**
+   * Return the cache key of a request.
+   * @param  {string} method
+   * @param  {string} url
+   * @param  {object} options Request options with payload or body.
+   * @return {string}
+   */
+  getCacheKey(method, url, options) {
+    return getRequestKey(this, method, url, options);
+  }
+
+  /**
+   * Return the cached response of a key, or null if it's missing or expired.
+   * @param  {string} key
+   * @return {object} Response object.
+   */
+  getCachedResponse(key) {
+    let index = this.getIndex();
+    let entry = index[key];
+    if (!entry) return null;
+
+    let value = entry.expiresTimestamp > Date.now() ? this.storage.get(key) : null;
+    if (!value) {
+      this.removeEntry(key);
+      this.saveIndex();
+      return null;
+    }
+
+    entry.accessedTimestamp = Date.now();
+    this.saveIndex();
+    return {
+      ...JSON.parse(value),
+      cached: true,
+    };
+  }
+
+  /**
+   * Cache a response, and evict old responses to stay within maxSize.
+   * @param  {string} key
+   * @param  {object} response Response object.
+   */
+  setCachedResponse(key, response) {
+    let value = JSON.stringify({
+      statusCode: response.statusCode,
+      headers: response.headers,
+      body: response.body,
+    });
+    if (value.length > this.config.maxSize) return;
+
+    let index = this.getIndex();
+    let now = Date.now();
+    this.removeEntry(key);
+    this.evict(value.length, now);
+
+    try {
+      this.storage.set(key, value, this.config.ttl);
+    } catch (e) {
+      console.error(`CachingApiHandler: Unable to cache a response: ${e.message}`);
+      // Remove partially stored chunks.
+      this.storage.remove(key);
+      this.saveIndex();
+      return;
+    }
+    index[key] = {
+      size: value.length,
+      expiresTimestamp: now + this.config.ttl * 1000,
+      accessedTimestamp: now,
+    };
+    this.saveIndex();
+  }
+
+  /**
+   * Remove expired responses, then the least recently used responses until
+   * there's room for a new response of the given size.
+   * @param  {number} newSize
+   * @param  {number} now
+   */
+  evict(newSize, now) {
+    let index = this.getIndex();
+    Object.keys(index).forEach(key => {
+      if (index[key].expiresTimestamp <= now) this.removeEntry(key);
+    });
+
+    let totalSize = Object.keys(index).reduce((sum, key) => {
+      return sum + index[key].size;
+    }, 0);
+    let keys = Object.keys(index).sort((a, b) => {
+      return index[a].accessedTimestamp - index[b].accessedTimestamp;
+    });
+    while (keys.length > 0 && totalSize + newSize > this.config.maxSize) {
+      let key = keys.shift();
+      totalSize -= index[key].size;
+      this.removeEntry(key);
+    }
+  }
+
+  /**
+   * Remove all cached responses.
+   */
+  clear() {
+    Object.keys(this.getIndex()).forEach(key => this.removeEntry(key));
+    this.saveIndex();
+  }
+
+  /**
+   * Return the index of cached responses keyed by cache keys, with the size,
+   * expiration and last access of each. It's loaded from the storage once.
+   * @return {object}
+   */
+  getIndex() {
+    if (!this.index) {
+      let value = this.storage.get(IndexKey);
+      this.index = value ? JSON.parse(value) : {};
+    }
+    return this.index;
+  }
+
+  saveIndex() {
+    this.storage.set(IndexKey, JSON.stringify(this.getIndex()),
+      this.config.ttl);
+  }
+
+  removeEntry(key) {
+    this.storage.remove(key);
+    delete this.getIndex()[key];
+  }
+}
+
+module.exports = {
+  CachingApiHandler,
+  DefaultCacheConfig,
+  MemoryCacheStorage,
+  getRequestKey,
+};
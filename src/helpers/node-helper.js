@@ -14,23 +14,28 @@
  * limitations under the License.
  */
 
-const request = require('sync-request');
 const ApiHandler = require('./api-handler');
+const crypto = require('crypto');
 const fse = require('fs-extra');
 const path = require('path');
+const request = require('request-promise');
 
 class NodeApiHandler extends ApiHandler {
-  fetch(url) {
-    return this.get(url);
+  async fetch(url) {
+    return await this.get(url);
   }
 
-  get(url) {
+  async get(url, getOptions) {
+    getOptions = getOptions || {};
     try {
-      let response = request('GET', url);
-      return {
-        statusCode: response.statusCode,
-        body: response.getBody().toString(),
-      }
+      let response = await request({
+        method: 'GET',
+        url: url,
+        headers: getOptions.headers || {},
+        resolveWithFullResponse: true,
+        simple: false,
+      });
+      return this.toResponse(response);
     } catch (e) {
       return {
         statusCode: e.code || 500,
@@ -40,13 +45,25 @@ class NodeApiHandler extends ApiHandler {
     }
   }
 
-  post(url, postOptions) {
+  async post(url, postOptions) {
+    postOptions = postOptions || {};
     try {
-      let response = request('POST', url, postOptions);
-      return {
-        statusCode: response.statusCode,
-        body: response.getBody().toString(),
+      let requestOptions = {
+        method: 'POST',
+        url: url,
+        headers: { ...(postOptions.headers || {}) },
+        resolveWithFullResponse: true,
+        simple: false,
+      };
+      if (postOptions.payload) {
+        requestOptions.body = JSON.stringify(postOptions.payload);
+        requestOptions.headers['Content-Type'] = 'application/json';
+      } else {
+        requestOptions.body = postOptions.body;
       }
+
+      let response = await request(requestOptions);
+      return this.toResponse(response);
     } catch (e) {
       return {
         statusCode: e.code || 500,
@@ -55,15 +72,91 @@ class NodeApiHandler extends ApiHandler {
       }
     }
   }
+
+  async sleep(ms) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getContentHash(contentBase64) {
+    return crypto.createHash('sha256')
+      .update(Buffer.from(contentBase64 || '', 'base64')).digest('hex');
+  }
+
+  getTextHash(text) {
+    return crypto.createHash('sha256').update(text || '', 'utf8').digest('hex');
+  }
+
+  /**
+   * Convert a request response to the common response format. The error
+   * message of a non-200 response is parsed from the response body.
+   * @param  {object} response Full response object of request-promise.
+   * @return {object} Response object with statusCode, headers, body and
+   *     error.
+   */
+  toResponse(response) {
+    let body = response.body ? response.body.toString() : '';
+    let newResponse = {
+      statusCode: response.statusCode,
+      headers: response.headers || {},
+      body: body,
+    };
+
+    if (response.statusCode !== 200) {
+      newResponse.error = this.getResponseError(response.statusCode, body);
+    }
+    return newResponse;
+  }
+}
+
+/**
+ * A storage of cached responses for CachingApiHandler, with a JSON file per
+ * response in a directory.
+ */
+class DirectoryCacheStorage {
+  /**
+   * @param  {string} dir Directory of cached responses, e.g. ".cache".
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir || '.cache');
+    this.maxSize = 500 * 1024 * 1024;
+  }
+  getFilePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+  get(key) {
+    let filepath = this.getFilePath(key);
+    return fse.existsSync(filepath) ? fse.readFileSync(filepath).toString() : null;
+  }
+  set(key, value, ttl) {
+    fse.outputFileSync(this.getFilePath(key), value);
+  }
+  remove(key) {
+    fse.removeSync(this.getFilePath(key));
+  }
 }
 
-NodeHelper = {
+const NodeHelper = {
+  /**
+   * Read and parse a JSON file.
+   * @param  {string} filepath
+   * @return {object}
+   */
   getJsonFromFile: (filepath) => {
     return JSON.parse(fse.readFileSync(path.resolve(filepath)));
-  }
+  },
+
+  /**
+   * Write an object to a JSON file, creating parent directories if needed.
+   * @param  {string} filepath
+   * @param  {object} data
+   */
+  writeJsonToFile: (filepath, data) => {
+    fse.outputFileSync(path.resolve(filepath), JSON.stringify(data, null, 2));
+  },
 }
 
 module.exports = {
+  DirectoryCacheStorage,
   NodeApiHandler,
   NodeHelper,
 };
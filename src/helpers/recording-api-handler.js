@@ -0,0 +1,248 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const fse = require('fs-extra');
+const path = require('path');
+const ApiHandler = require('./api-handler');
+const { NodeApiHandler } = require('./node-helper');
+const assert = require('../utils/assert');
+const { getRequestKey } = require('./cache-api-handler');
+
+// Headers that are replaced with ScrubbedValue in recorded fixtures.
+const ScrubbedHeaders = ['authorization', 'cookie', 'set-cookie',
+  'x-goog-api-key', 'proxy-authorization'];
+const ScrubbedValue = '<scrubbed>';
+
+/**
+ * Return a copy of headers with credentials like Authorization scrubbed.
+ * @param  {object} headers
+ * @return {object}
+ */
+function scrubHeaders(headers) {
+  let newHeaders = {};
+  Object.keys(headers || {}).forEach(key => {
+    newHeaders[key] = ScrubbedHeaders.includes(key.toLowerCase()) ?
+      ScrubbedValue : headers[key];
+  });
+  return newHeaders;
+}
+
+/**
+ * Return the fixture file path of a request in a directory, e.g.
+ * "fixtures/post-3f2a9c1b7d4e5f60.json".
+ * @param  {string} dir
+ * @param  {string} method
+ * @param  {string} key Request key from getRequestKey.
+ * @return {string}
+ */
+function getFixturePath(dir, method, key) {
+  return path.resolve(dir, `${method.toLowerCase()}-${key.substring(0, 16)}.json`);
+}
+
+/**
+ * An ApiHandler that sends requests with another ApiHandler and saves each
+ * request and its responses to a JSON fixture in a directory, for replaying
+ * them with ReplayApiHandler. Credentials in headers like Authorization are
+ * scrubbed, and the payload is identified by the request key only, so that
+ * document content isn't duplicated in fixtures. Responses of the same
+ * request, e.g. a 503 and its successful retry, are kept in order.
+ *
+ * Example:
+ *   let apiHandler = new RecordingApiHandler(new NodeApiHandler(),
+ *     'integration/fixtures/recorded');
+ */
+class RecordingApiHandler extends ApiHandler {
+  /**
+   * @param  {object} apiHandler The ApiHandler that sends requests.
+   * @param  {string} dir Directory of fixtures.
+   */
+  constructor(apiHandler, dir) {
+    super();
+    assert(dir, 'Fixtures directory is missing');
+    this.apiHandler = apiHandler;
+    this.dir = dir;
+    this.recordedKeys = [];
+  }
+
+  async fetch(url) {
+    return await this.get(url);
+  }
+
+  async get(url, options) {
+    let response = await this.apiHandler.get(url, options);
+    this.record('GET', url, options, response);
+    return response;
+  }
+
+  async post(url, options) {
+    let response = await this.apiHandler.post(url, options);
+    this.record('POST', url, options, response);
+    return response;
+  }
+
+  async sleep(ms) {
+    return await this.apiHandler.sleep(ms);
+  }
+
+  getContentHash(contentBase64) {
+    return this.apiHandler.getContentHash(contentBase64);
+  }
+
+  getTextHash(text) {
+    return this.apiHandler.getTextHash(text);
+  }
+
+  /**
+   * Save a request and its response to the fixture of the request. Fixtures
+   * recorded before this instance are overridden.
+   * @param  {string} method
+   * @param  {string} url
+   * @param  {object} options Request options with headers and payload.
+   * @param  {object} response Response object.
+   */
+  record(method, url, options, response) {
+    options = options || {};
+    let key = getRequestKey(this, method, url, options);
+    let filepath = getFixturePath(this.dir, method, key);
+
+    let fixture;
+    if (this.recordedKeys.includes(key) && fse.existsSync(filepath)) {
+      fixture = JSON.parse(fse.readFileSync(filepath));
+    } else {
+      fixture = {
+        key: key,
+        request: {
+          method: method,
+          url: url,
+          headers: scrubHeaders(options.headers),
+        },
+        responses: [],
+      };
+      this.recordedKeys.push(key);
+    }
+
+    let recordedResponse = {
+      statusCode: response.statusCode,
+      headers: scrubHeaders(response.headers),
+    };
+    // Keep JSON bodies readable and editable in fixtures.
+    try {
+      recordedResponse.json = JSON.parse(response.body);
+    } catch (e) {
+      recordedResponse.body = response.body;
+    }
+    fixture.responses.push(recordedResponse);
+
+    fse.outputFileSync(filepath, JSON.stringify(fixture, null, 2));
+  }
+}
+
+/**
+ * An ApiHandler that serves the responses of fixtures recorded with
+ * RecordingApiHandler, without network access. Requests are matched by the
+ * method, URL and payload. Responses of the same request are served in the
+ * recorded order, and the last one is repeated. A request without a fixture
+ * gets a 404 response. sleep() returns immediately.
+ *
+ * Example:
+ *   let apiHandler = new ReplayApiHandler('integration/fixtures/recorded');
+ */
+class ReplayApiHandler extends NodeApiHandler {
+  /**
+   * @param  {string} dir Directory of fixtures.
+   */
+  constructor(dir) {
+    super();
+    assert(dir, 'Fixtures directory is missing');
+    this.dir = dir;
+    this.fixtures = {};
+    this.counts = {};
+  }
+
+  async fetch(url) {
+    return await this.get(url);
+  }
+
+  async get(url, options) {
+    return this.replay('GET', url, options);
+  }
+
+  async post(url, options) {
+    return this.replay('POST', url, options);
+  }
+
+  async sleep(ms) { }
+
+  /**
+   * Return the next recorded response of a request.
+   * @param  {string} method
+   * @param  {string} url
+   * @param  {object} options Request options with payload.
+   * @return {object} Response object.
+   */
+  replay(method, url, options) {
+    let key = getRequestKey(this, method, url, options);
+    let fixture = this.getFixture(method, key);
+    if (!fixture || fixture.responses.length === 0) {
+      let message = `No recorded response for ${method} ${url}`;
+      return {
+        statusCode: 404,
+        body: '',
+        error: { message: message },
+      };
+    }
+
+    let count = this.counts[key] || 0;
+    this.counts[key] = count + 1;
+    let recordedResponse = fixture.responses[
+      Math.min(count, fixture.responses.length - 1)];
+
+    let response = {
+      statusCode: recordedResponse.statusCode,
+      headers: recordedResponse.headers || {},
+      body: typeof recordedResponse.json !== 'undefined' ?
+        JSON.stringify(recordedResponse.json) : (recordedResponse.body || ''),
+    };
+    if (response.statusCode !== 200) {
+      response.error = this.getResponseError(response.statusCode, response.body);
+    }
+    return response;
+  }
+
+  /**
+   * Return the fixture of a request key, or null if it's not recorded.
+   * @param  {string} method
+   * @param  {string} key
+   * @return {object}
+   */
+  getFixture(method, key) {
+    if (!(key in this.fixtures)) {
+      let filepath = getFixturePath(this.dir, method, key);
+      this.fixtures[key] = fse.existsSync(filepath) ?
+        JSON.parse(fse.readFileSync(filepath)) : null;
+    }
+    return this.fixtures[key];
+  }
+}
+
+module.exports = {
+  RecordingApiHandler,
+  ReplayApiHandler,
+  scrubHeaders,
+};
@@ -21,13 +21,27 @@ class SheetsApiHandler extends ApiHandler {
     return this.get(url);
   }
 
-  get(url) {
+  get(url, getOptions) {
     try {
-      var response = UrlFetchApp.fetch(url);
-      return {
+      var response;
+      if (getOptions) {
+        response = UrlFetchApp.fetch(url, {
+          'headers': getOptions.headers || {},
+          'muteHttpExceptions': true,
+        });
+      } else {
+        response = UrlFetchApp.fetch(url);
+      }
+      var newResponse = {
         statusCode: response.getResponseCode(),
+        headers: response.getHeaders ? response.getHeaders() : {},
         body: response.getContentText(),
       };
+      if (newResponse.statusCode !== 200) {
+        newResponse.error = this.getResponseError(newResponse.statusCode,
+          newResponse.body);
+      }
+      return newResponse;
 
     } catch (e) {
       console.error('There was an error while fetching ' + url);
@@ -43,8 +57,11 @@ class SheetsApiHandler extends ApiHandler {
 
   post(url, postOptions) {
     try {
+      // Return non-200 responses instead of throwing exceptions, so that the
+      // status code and Retry-After header are available for retries.
       let requestOptions = {
-        'method': 'post'
+        'method': 'post',
+        'muteHttpExceptions': true,
       };
 
       if (postOptions.payload) {
@@ -55,10 +72,16 @@ class SheetsApiHandler extends ApiHandler {
         requestOptions.payload = postOptions.body;
 
       let response = UrlFetchApp.fetch(url, requestOptions);
-      return {
+      let newResponse = {
         statusCode: response.getResponseCode(),
+        headers: response.getHeaders ? response.getHeaders() : {},
         body: response.getContentText()
+      };
+      if (newResponse.statusCode !== 200) {
+        newResponse.error = this.getResponseError(newResponse.statusCode,
+          newResponse.body);
       }
+      return newResponse;
     } catch (e) {
       console.error('SheetsApiHandler: There was an error while sending post request to ' + url);
       console.error(e);
@@ -71,6 +94,97 @@ class SheetsApiHandler extends ApiHandler {
       }
     }
   }
+
+  sleep(ms) {
+    Utilities.sleep(ms);
+  }
+
+  getContentHash(contentBase64) {
+    return this.toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+      Utilities.base64Decode(contentBase64 || '')));
+  }
+
+  getTextHash(text) {
+    return this.toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+      text || '', Utilities.Charset.UTF_8));
+  }
+
+  /**
+   * Return the hex string of a digest from Utilities.computeDigest, which has
+   * signed bytes.
+   * @param  {Array<number>} bytes
+   * @return {string}
+   */
+  toHex(bytes) {
+    return bytes.map(byte => {
+      return ('0' + (byte & 0xff).toString(16)).slice(-2);
+    }).join('');
+  }
+}
+
+/**
+ * A storage of cached responses for CachingApiHandler with CacheService in
+ * Apps Script. Values are split into chunks, as a value is limited to 100KB.
+ * CacheService keeps values for up to 6 hours.
+ */
+class ScriptCacheStorage {
+  constructor() {
+    this.store = CacheService.getScriptCache();
+    // In UTF-16 code units, which are up to 3 bytes each in UTF-8.
+    this.chunkSize = 30000;
+    this.maxSize = 5 * 1024 * 1024;
+  }
+  getValue(key) {
+    return this.store.get(key);
+  }
+  setValue(key, value, ttl) {
+    this.store.put(key, value, Math.min(ttl || 600, 21600));
+  }
+  removeValue(key) {
+    this.store.remove(key);
+  }
+  get(key) {
+    let count = parseInt(this.getValue(key));
+    if (!count) return null;
+
+    let chunks = [];
+    for (let i = 0; i < count; i++) {
+      let chunk = this.getValue(`${key}.${i}`);
+      if (chunk === null) return null;
+      chunks.push(chunk);
+    }
+    return chunks.join('');
+  }
+  set(key, value, ttl) {
+    this.remove(key);
+    // The count is stored first, so that remove() finds the chunks of a
+    // value that failed to be stored completely.
+    let chunks = this.getChunks(value);
+    this.setValue(key, chunks.length.toString(), ttl);
+    chunks.forEach((chunk, i) => {
+      this.setValue(`${key}.${i}`, chunk, ttl);
+    });
+  }
+  getChunks(value) {
+    let chunks = [];
+    let start = 0;
+    do {
+      let end = Math.min(start + this.chunkSize, value.length);
+      // Don't split a surrogate pair, e.g. of an emoji.
+      let code = value.charCodeAt(end - 1);
+      if (end < value.length && code >= 0xD800 && code <= 0xDBFF) end--;
+      chunks.push(value.substring(start, end));
+      start = end;
+    } while (start < value.length);
+    return chunks;
+  }
+  remove(key) {
+    let count = parseInt(this.getValue(key)) || 0;
+    for (let i = 0; i < count; i++) {
+      this.removeValue(`${key}.${i}`);
+    }
+    this.removeValue(key);
+  }
 }
 
 const TabRole = {
@@ -220,6 +334,7 @@ const SheetsHelper = {
 }
 
 module.exports = {
+  ScriptCacheStorage,
   SheetsApiHandler,
   SheetsHelper,
   SystemVars,
@@ -0,0 +1,125 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * MIME types supported by Document AI processors.
+ */
+const MimeType = {
+  PDF: 'application/pdf',
+  GIF: 'image/gif',
+  TIFF: 'image/tiff',
+  JPEG: 'image/jpeg',
+  PNG: 'image/png',
+  BMP: 'image/bmp',
+  WEBP: 'image/webp',
+};
+
+const SupportedMimeTypes = Object.values(MimeType);
+
+const FileExtensions = {
+  '.pdf': MimeType.PDF,
+  '.gif': MimeType.GIF,
+  '.tif': MimeType.TIFF,
+  '.tiff': MimeType.TIFF,
+  '.jpg': MimeType.JPEG,
+  '.jpeg': MimeType.JPEG,
+  '.png': MimeType.PNG,
+  '.bmp': MimeType.BMP,
+  '.webp': MimeType.WEBP,
+};
+
+// Magic bytes at the beginning of each file type. A null byte matches any
+// value, e.g. the file size in a RIFF header.
+const Signatures = [
+  { mimeType: MimeType.PDF, bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+  { mimeType: MimeType.PNG, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: MimeType.JPEG, bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: MimeType.GIF, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mimeType: MimeType.TIFF, bytes: [0x49, 0x49, 0x2A, 0x00] }, // Little endian
+  { mimeType: MimeType.TIFF, bytes: [0x4D, 0x4D, 0x00, 0x2A] }, // Big endian
+  { mimeType: MimeType.BMP, bytes: [0x42, 0x4D] }, // BM
+  {
+    mimeType: MimeType.WEBP, // RIFF....WEBP
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  },
+];
+
+const Base64Chars =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode the first bytes of a base64 string. It doesn't rely on Buffer or
+ * atob, so that it works in both Node.js and Apps Script.
+ * @param  {string} contentBase64
+ * @param  {number} length The number of bytes to decode.
+ * @return {Array<number>} Bytes.
+ */
+function decodeBase64Bytes(contentBase64, length) {
+  // Every 4 base64 chars decode into 3 bytes.
+  let chars = contentBase64.replace(/[\s=]/g, '').replace(/-/g, '+')
+    .replace(/_/g, '/').substring(0, Math.ceil(length / 3) * 4);
+
+  let bytes = [], buffer = 0, bits = 0;
+  for (let i = 0; i < chars.length; i++) {
+    let value = Base64Chars.indexOf(chars[i]);
+    if (value < 0) break;
+
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xFF);
+    }
+  }
+  return bytes.slice(0, length);
+}
+
+/**
+ * Return the MIME type of base64 content detected from its magic bytes.
+ * @param  {string} contentBase64
+ * @return {string} MIME type, or null if it's not a supported type.
+ */
+function detectMimeType(contentBase64) {
+  if (!contentBase64) return null;
+
+  let bytes = decodeBase64Bytes(contentBase64, 12);
+  let signature = Signatures.find(signature => {
+    return signature.bytes.every((byte, index) => {
+      return byte === null || bytes[index] === byte;
+    });
+  });
+  return signature ? signature.mimeType : null;
+}
+
+/**
+ * Return the MIME type from the extension of a file name or URI.
+ * @param  {string} fileName E.g. "scan.tiff" or "gs://bucket/scan.tiff".
+ * @return {string} MIME type, or null if it's not a supported type.
+ */
+function getMimeTypeFromFileName(fileName) {
+  let matches = (fileName || '').toLowerCase().match(/\.[a-z0-9]+$/);
+  return matches ? FileExtensions[matches[0]] || null : null;
+}
+
+module.exports = {
+  FileExtensions,
+  MimeType,
+  SupportedMimeTypes,
+  detectMimeType,
+  getMimeTypeFromFileName,
+};
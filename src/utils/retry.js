@@ -0,0 +1,151 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Final classification of a request after retries.
+ */
+const RetryClassification = {
+  SUCCESS: 'success',
+  TRANSIENT: 'transient', // Still failing with a retryable error.
+  PERMANENT: 'permanent', // Failed with a non-retryable error.
+};
+
+const DefaultRetryPolicy = {
+  maxAttempts: 3,
+  initialDelay: 1000, // In milliseconds.
+  maxDelay: 32000, // In milliseconds.
+  multiplier: 2,
+  jitter: 0.2, // Up to 20% of the delay is randomly added or removed.
+  retryableStatusCodes: [408, 429, 500, 502, 503, 504],
+};
+
+/**
+ * Return whether a response is a transient failure worth retrying. Responses
+ * without a numeric status code are network errors like ECONNRESET.
+ * @param  {object} response Response object from an ApiHandler.
+ * @param  {object} policy Retry policy.
+ * @return {boolean}
+ */
+function isRetryable(response, policy) {
+  let statusCode = response.statusCode;
+  if (typeof statusCode !== 'number') return true;
+  return policy.retryableStatusCodes.includes(statusCode);
+}
+
+/**
+ * Return the delay in milliseconds from the Retry-After header of a response,
+ * which is either seconds or an HTTP date. Returns null if there's none.
+ * @param  {object} response Response object from an ApiHandler.
+ * @return {number}
+ */
+function getRetryAfter(response) {
+  let headers = response.headers || {};
+  let key = Object.keys(headers).find(key => {
+    return key.toLowerCase() === 'retry-after';
+  });
+  if (!key) return null;
+
+  let value = headers[key];
+  if (/^\s*\d+\s*$/.test(value)) return parseInt(value) * 1000;
+
+  let date = Date.parse(value);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Return the delay in milliseconds before the next attempt, with exponential
+ * backoff and jitter. Retry-After of the response takes precedence. The delay
+ * never exceeds maxDelay.
+ * @param  {number} attempt The attempt that just failed, starts at 1.
+ * @param  {object} policy Retry policy.
+ * @param  {object} response Response object of the failed attempt.
+ * @return {number}
+ */
+function getDelay(attempt, policy, response) {
+  let delay = getRetryAfter(response || {});
+  if (delay === null) {
+    delay = policy.initialDelay * Math.pow(policy.multiplier, attempt - 1);
+    delay += delay * policy.jitter * (Math.random() * 2 - 1);
+  }
+  return Math.round(Math.min(Math.max(delay, 0), policy.maxDelay));
+}
+
+/**
+ * Send a request and retry transient failures with exponential backoff.
+ *
+ * Example:
+ *   let {response, attempts, classification} = await retry(() => {
+ *     return apiHandler.post(url, requestOptions);
+ *   }, {maxAttempts: 5}, (ms) => apiHandler.sleep(ms));
+ *
+ * @param  {function} requestFunc Function that sends a request and returns a
+ *     response object, or a Promise of it.
+ * @param  {object} policy Retry policy, see DefaultRetryPolicy.
+ * @param  {function} sleep Function to wait for the given milliseconds.
+ * @return {Promise<object>} The last response, the number of attempts and
+ *     the classification.
+ */
+async function retry(requestFunc, policy, sleep) {
+  let newPolicy = { ...DefaultRetryPolicy };
+  Object.keys(policy || {}).forEach(key => {
+    // Unset values, e.g. from an empty Settings cell, fall back to defaults.
+    if (policy[key] !== null && typeof policy[key] !== 'undefined' &&
+        policy[key] !== '') {
+      newPolicy[key] = policy[key];
+    }
+  });
+  policy = newPolicy;
+
+  let response, attempts = 0;
+  while (true) {
+    attempts++;
+    response = await requestFunc();
+
+    if (response.statusCode === 200) {
+      return {
+        response: response,
+        attempts: attempts,
+        classification: RetryClassification.SUCCESS,
+      };
+    }
+    if (!isRetryable(response, policy)) {
+      return {
+        response: response,
+        attempts: attempts,
+        classification: RetryClassification.PERMANENT,
+      };
+    }
+    if (attempts >= policy.maxAttempts) {
+      return {
+        response: response,
+        attempts: attempts,
+        classification: RetryClassification.TRANSIENT,
+      };
+    }
+    await sleep(getDelay(attempts, policy, response));
+  }
+}
+
+module.exports = {
+  DefaultRetryPolicy,
+  RetryClassification,
+  getDelay,
+  getRetryAfter,
+  retry,
+};
@@ -14,42 +14,69 @@
  * limitations under the License.
  */
 
+/**
+ * Set a value to an object with a property path, creating nested objects and
+ * arrays along the path. Supported patterns:
+ * - Nested properties: a.b.c
+ * - Array indexes: a.b[0].c
+ * - Quoted properties: a["b c"].d or a['b c'].d
+ * - Appending to an array: a.b[].c
+ * @param {object} obj
+ * @param {string} path Property path.
+ * @param {object} value
+ */
 function setObject(obj, path, value) {
   if (!path) return;
 
-  let properties = path.split('.');
-  let len = properties.length;
-  let previousObj;
+  let tokens = parsePath(path);
+  let len = tokens.length;
 
   for (let i = 0; i < len; i++) {
-    let property = properties[i];
-    let match = property.match(/(\w+)\[(\d+)\]/i);
-    previousObj = obj;
-
-    // Support patterns like a.b[0].c
-    // TODO: support nested arrays like a.b[0][1]
-    if (match) {
-      property = match[1];
-      let index = match[2];
-      obj[property] = obj[property] || [];
-      if (index) {
-        obj[property][index] = obj[property][index] || {};
-        obj = obj[property][index];
-      } else {
-        // Push empty object to the array ifno index in the proprety.
-        // For example: a.b[].c
-        obj[property].push({});
-        obj = obj[property][obj[property].length - 1];
-      }
+    let token = tokens[i];
+    let isLast = i === len - 1;
+
+    if (token.append) {
+      // Push a new element to the array if no index in the property.
+      // For example: a.b[].c
+      obj.push(isLast ? value : {});
+      obj = obj[obj.length - 1];
+      continue;
+    }
+
+    if (isLast) {
+      obj[token.key] = value;
     } else {
-      obj[property] = obj[property] || {};
-      obj = obj[property];
+      let nextToken = tokens[i + 1];
+      let isArray = nextToken.index || nextToken.append;
+      obj[token.key] = obj[token.key] || (isArray ? [] : {});
+      obj = obj[token.key];
     }
   }
+}
 
-  if (previousObj) {
-    eval(`previousObj.${properties[len - 1]} = value;`);
+/**
+ * Split a property path into tokens.
+ * @param {string} path Property path. E.g. 'a.b[0]["c d"]'.
+ * @return {Array<object>} Tokens with key, and index or append flags.
+ */
+function parsePath(path) {
+  let tokens = [];
+  let pattern = /\[(\d*)\]|\["([^"]*)"\]|\['([^']*)'\]|([^.[\]]+)/g;
+  let match;
+
+  while ((match = pattern.exec(path)) !== null) {
+    if (typeof match[1] !== 'undefined') {
+      if (match[1] === '') {
+        tokens.push({ append: true });
+      } else {
+        tokens.push({ key: parseInt(match[1]), index: true });
+      }
+    } else {
+      let key = match[2] || match[3] || match[4];
+      tokens.push({ key: key.trim() });
+    }
   }
+  return tokens;
 }
 
 module.exports = setObject;
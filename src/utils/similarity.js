@@ -0,0 +1,77 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Return a normalized form of a label for matching: lowercase, without
+ * punctuation like trailing colons, and with single spaces. E.g. "Last Name:"
+ * and "LAST  NAME" both return "last name".
+ * @param  {string} key
+ * @return {string}
+ */
+function normalizeKey(key) {
+  return String(key || '').toLowerCase()
+    .replace(/[^a-z0-9\u00C0-\uFFFF]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Return the Levenshtein distance between two strings, i.e. the number of
+ * single character insertions, deletions or substitutions between them.
+ * @param  {string} a
+ * @param  {string} b
+ * @return {number}
+ */
+function getEditDistance(a, b) {
+  let previousRow = [];
+  for (let j = 0; j <= b.length; j++) previousRow.push(j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow.push(Math.min(
+        previousRow[j] + 1, // Deletion
+        currentRow[j - 1] + 1, // Insertion
+        previousRow[j - 1] + cost)); // Substitution
+    }
+    previousRow = currentRow;
+  }
+  return previousRow[b.length];
+}
+
+/**
+ * Return the similarity of two labels between 0 and 1, based on the edit
+ * distance of their normalized forms. Labels with the same normalized form
+ * have a similarity of 1.
+ * @param  {string} a
+ * @param  {string} b
+ * @return {number}
+ */
+function getSimilarity(a, b) {
+  a = normalizeKey(a);
+  b = normalizeKey(b);
+  let maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - getEditDistance(a, b) / maxLength;
+}
+
+module.exports = {
+  getEditDistance,
+  getSimilarity,
+  normalizeKey,
+};
@@ -0,0 +1,225 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { parseDate, parseNumber } = require('./validate');
+
+/**
+ * Split a transform chain like "trim | upper | default:N/A" into steps. A
+ * literal "|" in an argument is escaped as "\|".
+ * @param  {Array<string>|string} chain
+ * @return {Array<object>} Steps with name and arg.
+ */
+function parseTransforms(chain) {
+  let steps = [];
+  if (Array.isArray(chain)) {
+    steps = chain;
+  } else {
+    let current = '';
+    let text = String(chain || '');
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\\' && text[i + 1] === '|') {
+        current += '|';
+        i++;
+      } else if (text[i] === '|') {
+        steps.push(current);
+        current = '';
+      } else {
+        current += text[i];
+      }
+    }
+    steps.push(current);
+  }
+
+  return steps.map(step => String(step).trim()).filter(step => step).map(step => {
+    let index = step.indexOf(':');
+    return {
+      name: (index < 0 ? step : step.substring(0, index)).trim().toLowerCase(),
+      arg: index < 0 ? null : step.substring(index + 1).trim(),
+    };
+  });
+}
+
+/**
+ * Return a RegExp from a sed-like expression, e.g. "/-/ /g" returns the
+ * pattern "-", replacement " " and flags "g". Any character can be the
+ * delimiter, and is escaped with a backslash inside the pattern.
+ * @param  {string} arg
+ * @return {object} The regex and replacement.
+ */
+function parseReplaceArg(arg) {
+  let delimiter = (arg || '')[0];
+  let parts = [], current = '';
+  for (let i = 1; i < arg.length; i++) {
+    if (arg[i] === '\\' && arg[i + 1] === delimiter) {
+      current += delimiter;
+      i++;
+    } else if (arg[i] === delimiter && parts.length < 2) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += arg[i];
+    }
+  }
+  parts.push(current);
+
+  if (!delimiter || parts.length < 3) {
+    throw new Error(`Invalid replace expression: ${arg}`);
+  }
+  return {
+    regex: new RegExp(parts[0], parts[2]),
+    replacement: parts[1],
+  };
+}
+
+/**
+ * Return a timestamp formatted with tokens YYYY, YY, MM, M, DD and D, e.g.
+ * "MM/DD/YYYY".
+ * @param  {number} timestamp
+ * @param  {string} format Defaults to "YYYY-MM-DD".
+ * @return {string}
+ */
+function formatDate(timestamp, format) {
+  let date = new Date(timestamp);
+  let pad = value => (value < 10 ? '0' : '') + value;
+  let tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).substring(2),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+  };
+  return (format || 'YYYY-MM-DD').replace(/YYYY|YY|MM|M|DD|D/g, token => tokens[token]);
+}
+
+/**
+ * Return whether a value is empty.
+ * @param  {object} value
+ * @return {boolean}
+ */
+function isEmpty(value) {
+  return value === null || typeof value === 'undefined' ||
+    (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Apply a single transform step to a value. Values that can't be parsed as
+ * dates or numbers are kept as they are.
+ * @param  {object} value
+ * @param  {object} step Step with name and arg.
+ * @return {object} Transformed value.
+ */
+function applyTransform(value, step) {
+  let arg = step.arg;
+
+  switch (step.name) {
+    case 'trim':
+      return typeof value === 'string' ? value.trim() : value;
+
+    case 'upper':
+      return typeof value === 'string' ? value.toUpperCase() : value;
+
+    case 'lower':
+      return typeof value === 'string' ? value.toLowerCase() : value;
+
+    case 'title':
+      if (typeof value !== 'string') return value;
+      return value.toLowerCase().replace(/(^|[\s-])(\S)/g, (match, separator, char) => {
+        return separator + char.toUpperCase();
+      });
+
+    case 'extract': {
+      if (isEmpty(value)) return value;
+      let matches = String(value).match(new RegExp(arg));
+      if (!matches) return null;
+      return typeof matches[1] !== 'undefined' ? matches[1] : matches[0];
+    }
+
+    case 'replace': {
+      if (isEmpty(value)) return value;
+      let { regex, replacement } = parseReplaceArg(arg);
+      return String(value).replace(regex, replacement);
+    }
+
+    case 'date': {
+      if (isEmpty(value)) return value;
+      let timestamp = parseDate(value);
+      return timestamp === null ? value : formatDate(timestamp, arg);
+    }
+
+    case 'number': {
+      if (isEmpty(value) || typeof value === 'boolean') return value;
+      // Parentheses are negative amounts, e.g. "(1,234.00)".
+      let matches = String(value).trim().match(/^\((.*)\)$/);
+      let number = parseNumber(matches ? matches[1] : value);
+      if (number === null) return value;
+      return matches ? -number : number;
+    }
+
+    case 'checkbox': {
+      let labels = (arg || 'Yes,No').split(',');
+      if (value === true) return labels[0].trim();
+      if (value === false) return (labels[1] || '').trim();
+      return value;
+    }
+
+    case 'default':
+      return isEmpty(value) ? arg : value;
+
+    default:
+      throw new Error(`Unsupported transform: ${step.name}`);
+  }
+}
+
+/**
+ * Transform a value with a chain of transforms, applied from left to right.
+ *
+ * Available transforms:
+ * - trim, upper, lower, title: Trim or change the case of text.
+ * - extract:<regex>: The first capture group, or the whole match, of a
+ *     regular expression. Null if it doesn't match.
+ * - replace:/<regex>/<replacement>/<flags>: Replace matches of a regular
+ *     expression, like sed.
+ * - date:<format>: Parse a date and format it, e.g. "date:MM/DD/YYYY".
+ *     Defaults to "YYYY-MM-DD".
+ * - number: Parse a number or currency amount, e.g. "$1,234.50" or
+ *     "(12.00)".
+ * - checkbox:<true label>,<false label>: Labels of checkbox values. Defaults
+ *     to "Yes,No".
+ * - default:<value>: The value if it's empty.
+ *
+ * Example:
+ *   transform(' ACME corp. ', 'trim | title | replace:/\\.$//');
+ *   // 'Acme Corp'
+ *
+ * @param  {object} value
+ * @param  {Array<string>|string} chain Transforms separated by "|", or an
+ *     array of transforms.
+ * @return {object} Transformed value.
+ */
+function transform(value, chain) {
+  return parseTransforms(chain).reduce((newValue, step) => {
+    return applyTransform(newValue, step);
+  }, value);
+}
+
+module.exports = {
+  formatDate,
+  parseTransforms,
+  transform,
+};
@@ -0,0 +1,219 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Value types supported by validation rules.
+ */
+const ValidationType = {
+  DATE: 'date',
+  NUMBER: 'number',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  SSN: 'ssn',
+};
+
+const EmailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SsnRegex = /^(?!000|666|9\d\d)\d{3}-?(?!00)\d{2}-?(?!0000)\d{4}$/;
+
+/**
+ * Return whether a rule value is set, e.g. not an empty cell.
+ * @param  {object} value
+ * @return {boolean}
+ */
+function isSet(value) {
+  return value !== null && typeof value !== 'undefined' &&
+    String(value).trim() !== '';
+}
+
+/**
+ * Return the number of a value with thousands separators and currency
+ * symbols removed, e.g. "$1,234.50" returns 1234.5.
+ * @param  {object} value
+ * @return {number} Number, or null if it's not a number.
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  let text = String(value).replace(/[\s,$€£¥]/g, '');
+  if (text === '' || isNaN(text)) return null;
+  return Number(text);
+}
+
+/**
+ * Return the timestamp of a date, e.g. "2022-01-31", "1/31/2022",
+ * "Jan 31, 2022" or a Date object.
+ * @param  {object} value
+ * @return {number} Timestamp, or null if it's not a valid date.
+ */
+function parseDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+
+  let getTime = (year, month, day) => {
+    let date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 ||
+        date.getDate() !== day) {
+      return null;
+    }
+    return date.getTime();
+  };
+
+  let text = String(value).trim();
+  let matches = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (matches) {
+    return getTime(parseInt(matches[1]), parseInt(matches[2]), parseInt(matches[3]));
+  }
+  matches = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (matches) {
+    return getTime(parseInt(matches[3]), parseInt(matches[1]), parseInt(matches[2]));
+  }
+  if (!/[a-z]/i.test(text)) return null;
+
+  let time = Date.parse(text);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Return whether a value is of the given type.
+ * @param  {object} value
+ * @param  {string} type One of ValidationType.
+ * @return {boolean}
+ */
+function isType(value, type) {
+  let text = String(value).trim();
+  switch (type) {
+    case ValidationType.DATE:
+      return parseDate(value) !== null;
+
+    case ValidationType.NUMBER:
+      return parseNumber(value) !== null;
+
+    case ValidationType.EMAIL:
+      return EmailRegex.test(text);
+
+    case ValidationType.PHONE:
+      return /^\+?[\d\s().-]+$/.test(text) &&
+        /^\d{7,15}$/.test(text.replace(/\D/g, ''));
+
+    case ValidationType.SSN:
+      return SsnRegex.test(text);
+
+    default:
+      throw new Error(`Unsupported validation type: ${type}`);
+  }
+}
+
+/**
+ * Return the value to compare with min and max: the number of numbers, the
+ * timestamp of dates, or the length of other values.
+ * @param  {object} value
+ * @param  {string} type
+ * @return {number}
+ */
+function getComparableValue(value, type) {
+  switch (type) {
+    case ValidationType.NUMBER:
+      return parseNumber(value);
+
+    case ValidationType.DATE:
+      return parseDate(value);
+
+    default:
+      return String(value).length;
+  }
+}
+
+/**
+ * Validate a value with a rule, and return the failures. A rule may have:
+ * - required {boolean}: The value must not be empty.
+ * - type {string}: One of ValidationType, e.g. "date" or "ssn".
+ * - pattern {string}: A regular expression the value must match.
+ * - min, max {number|string}: The range of numbers or dates, or the length of
+ *     other values.
+ * - allowedValues {Array<string>|string}: Allowed values, or comma-separated
+ *     allowed values, case-insensitive.
+ *
+ * Example:
+ *   validate('12/31/1899', {type: 'date', min: '1900-01-01'});
+ *   // [{rule: 'min', message: 'is less than 1900-01-01'}]
+ *
+ * @param  {object} value
+ * @param  {object} rule
+ * @return {Array<object>} Failures with the rule and message.
+ */
+function validate(value, rule) {
+  let failures = [];
+  let isTrue = v => v === true || String(v).toLowerCase() === 'true';
+
+  if (!isSet(value)) {
+    if (isTrue(rule.required)) {
+      failures.push({ rule: 'required', message: 'is required' });
+    }
+    return failures;
+  }
+
+  let type = isSet(rule.type) ? String(rule.type).trim().toLowerCase() : null;
+  if (type && !isType(value, type)) {
+    failures.push({ rule: 'type', message: `is not a valid ${type}` });
+    return failures;
+  }
+
+  if (isSet(rule.pattern) && !new RegExp(rule.pattern).test(String(value))) {
+    failures.push({ rule: 'pattern', message: `does not match ${rule.pattern}` });
+  }
+
+  // Numbers and dates are compared by value, others by length.
+  let isLength = type !== ValidationType.NUMBER && type !== ValidationType.DATE;
+  let limitType = isLength ? ValidationType.NUMBER : type;
+  let comparableValue = getComparableValue(value, type);
+  let formatLimit = limit => limit instanceof Date ? limit.toISOString() : limit;
+  if (isSet(rule.min) &&
+      comparableValue < getComparableValue(rule.min, limitType)) {
+    failures.push({
+      rule: 'min',
+      message: isLength ? `is shorter than ${rule.min} characters` :
+        `is less than ${formatLimit(rule.min)}`,
+    });
+  }
+  if (isSet(rule.max) &&
+      comparableValue > getComparableValue(rule.max, limitType)) {
+    failures.push({
+      rule: 'max',
+      message: isLength ? `is longer than ${rule.max} characters` :
+        `is more than ${formatLimit(rule.max)}`,
+    });
+  }
+
+  if (isSet(rule.allowedValues)) {
+    let allowedValues = Array.isArray(rule.allowedValues) ?
+      rule.allowedValues : String(rule.allowedValues).split(',');
+    allowedValues = allowedValues.map(v => String(v).trim().toLowerCase());
+    if (!allowedValues.includes(String(value).trim().toLowerCase())) {
+      failures.push({
+        rule: 'allowedValues',
+        message: `is not one of ${allowedValues.join(', ')}`,
+      });
+    }
+  }
+  return failures;
+}
+
+module.exports = {
+  ValidationType,
+  parseDate,
+  parseNumber,
+  validate,
+};
@@ -0,0 +1,265 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const JsonConnector = require('../src/connectors/json-connector');
+const { NodeApiHandler } = require('../src/helpers/node-helper');
+const Status = require('../src/common/status');
+const {
+  getClassRoutes, getKeyRemapList, getSourcesFromDir, main,
+} = require('../src/cli');
+
+let docaiResponse = {
+  statusCode: 200,
+  body: JSON.stringify({
+    document: {
+      text: 'Jane',
+      entities: [{
+        type: 'name',
+        mentionText: 'Jane',
+        confidence: 0.9,
+        textAnchor: { textSegments: [{ startIndex: '0', endIndex: '4' }] },
+      }],
+    },
+  }),
+};
+
+describe('CLI', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'docai-cli-'));
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('returns sources for supported documents in a directory.', () => {
+    fse.writeFileSync(path.join(tmpDir, 'b.pdf'), 'document-b');
+    fse.writeFileSync(path.join(tmpDir, 'a.PDF'), 'document-a');
+    fse.writeFileSync(path.join(tmpDir, 'c.tiff'), 'document-c');
+    fse.writeFileSync(path.join(tmpDir, 'notes.txt'), 'notes');
+    fse.mkdirSync(path.join(tmpDir, 'subdir.pdf'));
+
+    let sources = getSourcesFromDir(tmpDir, 'Application Form');
+    expect(sources.length).toEqual(3);
+    expect(sources[0]).toEqual({
+      label: 'a.PDF',
+      documentType: 'Application Form',
+      fileName: 'a.PDF',
+      filePath: path.join(tmpDir, 'a.PDF'),
+      url: 'file://' + path.join(tmpDir, 'a.PDF'),
+      contentBase64: Buffer.from('document-a').toString('base64'),
+    });
+    expect(sources[1].fileName).toEqual('b.pdf');
+    expect(sources[2].fileName).toEqual('c.tiff');
+  });
+
+  it('returns field key remappings of a document type from Fields dataset.', () => {
+    fse.writeFileSync(path.join(tmpDir, 'Fields.json'), JSON.stringify([
+      {
+        docai: {
+          data: {
+            documentType: 'Form A', key: 'Name:', newKey: 'name',
+            minConfidence: 0.8, required: true,
+          },
+        },
+      },
+      { docai: { data: { documentType: 'Form B', key: 'DOB', newKey: 'dob' } } },
+      { docai: { data: { key: 'SSN', newKey: 'ssn' } } },
+    ]));
+    let connector = new JsonConnector({ dir: tmpDir });
+
+    expect(getKeyRemapList(connector, 'Form A')).toEqual([
+      {
+        documentType: 'Form A', key: 'Name:', newKey: 'name',
+        minConfidence: 0.8, required: true,
+      },
+      { documentType: undefined, key: 'SSN', newKey: 'ssn' },
+    ]);
+  });
+
+  it('returns routes of document classes from Document Types dataset.', () => {
+    fse.writeFileSync(path.join(tmpDir, 'Document Types.json'), JSON.stringify([
+      {
+        documentType: 'Intake', processorId: 'splitter-1', outputMode: 'split',
+        destDatasetId: 'Unsplit',
+      },
+      {
+        documentType: 'Driver License', documentClass: 'driver_license',
+        processorId: 'license-1', destDatasetId: 'Licenses',
+      },
+    ]));
+    fse.writeFileSync(path.join(tmpDir, 'Fields.json'), JSON.stringify([
+      { docai: { data: { documentType: 'Driver License', key: 'name', newKey: 'Name' } } },
+    ]));
+    let connector = new JsonConnector({ dir: tmpDir });
+
+    let classRoutes = getClassRoutes(connector);
+    expect(Object.keys(classRoutes)).toEqual(['Intake', 'driver_license']);
+    expect(classRoutes['Intake'].processorId).toEqual(null);
+    expect(classRoutes['driver_license']).toEqual({
+      documentType: 'Driver License',
+      destDatasetId: 'Licenses',
+      processorId: 'license-1',
+      keyRemapList: [{ documentType: 'Driver License', key: 'name', newKey: 'Name' }],
+    });
+  });
+
+  describe('main', () => {
+    let inputDir, fixturesDir, args;
+
+    beforeEach(async () => {
+      inputDir = path.join(tmpDir, 'input');
+      fixturesDir = path.join(tmpDir, 'fixtures');
+      fse.outputFileSync(path.join(inputDir, 'a.pdf'), '%PDF-1.4');
+      args = {
+        input: inputDir,
+        documentType: 'Application Form',
+        projectId: 'project-1',
+        processorId: 'processor-1',
+        output: path.join(tmpDir, 'results.json'),
+        maxAttempts: 1,
+      };
+      jest.spyOn(console, 'log').mockImplementation(() => { });
+
+      // Record the DocAI response of the document as a fixture.
+      jest.spyOn(NodeApiHandler.prototype, 'post')
+        .mockImplementation(async () => docaiResponse);
+      await main({ ...args, token: 'token', record: fixturesDir });
+      jest.restoreAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('processes documents with replayed responses and writes JSON.', async () => {
+      fse.removeSync(args.output);
+      let response = await main({ ...args, replay: fixturesDir });
+
+      expect(response.results.length).toEqual(1);
+      expect(response.results[0].status).toEqual(Status.RETRIEVED);
+      let results = fse.readJsonSync(args.output);
+      expect(results.length).toEqual(1);
+      expect(results[0].docai.data.name.value).toEqual('Jane');
+    });
+
+    it('writes CSV for an output with a .csv extension.', async () => {
+      let output = path.join(tmpDir, 'results.csv');
+      await main({ ...args, replay: fixturesDir, output: output });
+
+      let lines = fse.readFileSync(output, 'utf8').trim().split('\n');
+      expect(lines.length).toEqual(2);
+      expect(lines[1]).toContain('Jane');
+    });
+
+    it('reads the processor and output from dataDir.', async () => {
+      let dataDir = path.join(tmpDir, 'data');
+      fse.outputJsonSync(path.join(dataDir, 'Settings.json'), {
+        projectId: 'project-1',
+      });
+      fse.outputJsonSync(path.join(dataDir, 'Document Types.json'), [{
+        documentType: 'Application Form',
+        processorId: 'processor-1',
+        destDatasetId: 'Applications',
+      }]);
+
+      let response = await main({
+        input: inputDir,
+        documentType: 'Application Form',
+        dataDir: dataDir,
+        replay: fixturesDir,
+        maxAttempts: 1,
+      });
+      expect(response.results[0].status).toEqual(Status.RETRIEVED);
+      let connector = new JsonConnector({ dir: dataDir });
+      expect(connector.getDataList('Applications').length).toEqual(1);
+    });
+
+    it('writes CSV datasets of document classes to dataDir.', async () => {
+      let dataDir = path.join(tmpDir, 'data');
+      fse.outputJsonSync(path.join(dataDir, 'Settings.json'), {
+        projectId: 'project-1',
+      });
+      fse.outputJsonSync(path.join(dataDir, 'Document Types.json'), [{
+        documentType: 'Intake',
+        processorId: 'splitter-1',
+        outputMode: 'split',
+      }, {
+        documentType: 'Driver License',
+        documentClass: 'driver_license',
+        destDatasetId: 'Licenses',
+      }]);
+      jest.spyOn(NodeApiHandler.prototype, 'post').mockImplementation(
+        async () => ({
+          statusCode: 200,
+          body: JSON.stringify({
+            document: {
+              text: '',
+              entities: [{ type: 'driver_license', confidence: 0.9 }],
+            },
+          }),
+        }));
+
+      let output = path.join(tmpDir, 'results.csv');
+      await main({
+        input: inputDir,
+        documentType: 'Intake',
+        dataDir: dataDir,
+        output: output,
+        token: 'token',
+        maxAttempts: 1,
+      });
+      let lines = fse.readFileSync(path.join(dataDir, 'Licenses.csv'), 'utf8')
+        .trim().split('\n');
+      expect(lines.length).toEqual(2);
+      expect(lines[1]).toContain('driver_license');
+    });
+
+    it('returns errors of documents without a recorded response.', async () => {
+      let response = await main({
+        ...args, replay: fixturesDir, processorId: 'processor-2',
+      });
+      expect(response.results[0].status).toEqual(Status.ERROR);
+    });
+
+    it('rejects missing arguments.', async () => {
+      await expect(main({ ...args, projectId: null, replay: fixturesDir }))
+        .rejects.toThrow('--projectId is missing');
+      await expect(main({ ...args, input: null }))
+        .rejects.toThrow('--input is missing');
+    });
+
+    it('exits with an error code when documents fail.', () => {
+      let result = spawnSync(process.execPath, [
+        path.join(__dirname, '../src/cli.js'),
+        `--input=${inputDir}`, '--documentType=Application Form',
+        '--projectId=project-1', '--processorId=processor-2',
+        `--output=${args.output}`, `--replay=${fixturesDir}`,
+        '--maxAttempts=1',
+      ], { timeout: 30000 });
+      expect(result.status).toEqual(1);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CsvConnector = require('../../src/connectors/csv-connector');
+
+let connectorConfig;
+let connector;
+let tmpDir;
+
+const readFile = (filename) => {
+  return fse.readFileSync(path.join(tmpDir, filename)).toString();
+};
+
+const writeFile = (filename, lines) => {
+  fse.writeFileSync(path.join(tmpDir, filename), lines.join('\n') + '\n');
+};
+
+describe('CsvConnector', () => {
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'docai-csv-'));
+    connectorConfig = {
+      dir: tmpDir,
+      envVarsTabId: 'Settings',
+      tabs: {
+        'Sources': {
+          path: path.join(tmpDir, 'sources.csv'),
+          dataAxis: 'row',
+          propertyLookup: 2, // Starts at 1
+          skipColumns: 0,
+          skipRows: 3,
+        },
+        'Settings': {
+          dataAxis: 'column',
+          propertyLookup: 2, // Starts at 1
+          skipColumns: 2,
+          skipRows: 1,
+        },
+      },
+    };
+    connector = new CsvConnector(connectorConfig, {} /* apiHandler */);
+
+    writeFile('sources.csv', [
+      ',,,',
+      'selected,label,docai.processorId,docai.data["First Name"].value',
+      'Selected,Label,Processor ID,First Name',
+      'true,A,p-1,Adam',
+      'false,B,p-2,"Parker, Jr."',
+      'TRUE,C,123,',
+    ]);
+    writeFile('Settings.csv', [
+      'Name,key,value',
+      'Project ID,projectId,TEST_PROJECTID',
+      'OAuth Token,oauthToken,TEST_TOKEN',
+    ]);
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('returns list of items from a CSV file with nested properties', async () => {
+    let items = connector.getDataList('Sources');
+    expect(items).toEqual([{
+      selected: true,
+      label: 'A',
+      docai: { processorId: 'p-1', data: { 'First Name': { value: 'Adam' } } },
+      csv: { rowIndex: 4 },
+    }, {
+      selected: false,
+      label: 'B',
+      docai: { processorId: 'p-2', data: { 'First Name': { value: 'Parker, Jr.' } } },
+      csv: { rowIndex: 5 },
+    }, {
+      selected: true,
+      label: 'C',
+      docai: { processorId: 123, data: { 'First Name': { value: '' } } },
+      csv: { rowIndex: 6 },
+    }]);
+  });
+
+  it('returns list of items with filters', async () => {
+    let items = connector.getDataList('Sources', { filters: ['selected'] });
+    expect(items.map(item => item.label)).toEqual(['A', 'C']);
+  });
+
+  it('returns an empty list for a tab without a file', async () => {
+    expect(connector.getDataList('NonExisting')).toEqual([]);
+    expect(connector.getDataJson('NonExisting')).toBe(null);
+  });
+
+  it('returns environment variables from a tab with column data axis', async () => {
+    expect(connector.getEnvVars()).toEqual({
+      projectId: 'TEST_PROJECTID',
+      oauthToken: 'TEST_TOKEN',
+    });
+  });
+
+  it('appends items based on the property lookup row', async () => {
+    connector.appendDataList('Sources', [{
+      selected: false,
+      label: 'D',
+      docai: { processorId: 'p-4', data: { 'First Name': { value: 'Jason "JJ"' } } },
+    }]);
+
+    let lines = readFile('sources.csv').trim().split('\n');
+    expect(lines.length).toEqual(7);
+    expect(lines[6]).toEqual('false,D,p-4,"Jason ""JJ"""');
+    expect(connector.getDataList('Sources')[3].docai.data['First Name'].value)
+      .toEqual('Jason "JJ"');
+  });
+
+  it('appends items to a new file with generated property lookup row', async () => {
+    connector.appendDataList('Results', [{
+      id: 1,
+      status: 'Retrieved',
+      docai: { data: { 'First Name': { value: 'Adam' }, age: { value: 30 } } },
+      errors: [],
+    }, {
+      id: 2,
+      status: 'Error',
+      docai: { error: 'Failed' },
+      errors: ['[docai] Failed'],
+    }]);
+
+    expect(readFile('Results.csv')).toEqual([
+      'id,status,"docai.data[""First Name""].value",docai.data.age.value,errors,docai.error',
+      '1,Retrieved,Adam,30,[],',
+      '2,Error,,,"[""[docai] Failed""]",Failed',
+      '',
+    ].join('\n'));
+
+    let items = connector.getDataList('Results');
+    expect(items[0].docai.data['First Name'].value).toEqual('Adam');
+    expect(items[1].docai.error).toEqual('Failed');
+  });
+
+  it('adds new properties of later appended items to the header', async () => {
+    connector.appendDataList('Results', [{
+      id: 1,
+      docai: { data: { name: { value: 'Adam' } } },
+    }]);
+    connector.appendDataList('Results', [{
+      id: 2,
+      docai: { data: { name: { value: 'Bob' }, ssn: { value: '123' } } },
+    }]);
+
+    expect(readFile('Results.csv')).toEqual([
+      'id,docai.data.name.value,docai.data.ssn.value',
+      '1,Adam',
+      '2,Bob,"123"',
+      '',
+    ].join('\n'));
+    expect(connector.getDataList('Results')[1].docai.data.ssn.value).toEqual('123');
+  });
+
+  it('updates items based on row indexes', async () => {
+    let items = connector.getDataList('Sources', { filters: ['selected'] });
+    items.forEach(item => {
+      item.selected = false;
+    });
+    connector.updateDataList('Sources', items);
+
+    let lines = readFile('sources.csv').trim().split('\n');
+    expect(lines[3]).toEqual('false,A,p-1,Adam');
+    expect(lines[4]).toEqual('false,B,p-2,"Parker, Jr."');
+    expect(lines[5]).toEqual('false,C,123,');
+  });
+
+  it('throws an error when updating items without row indexes', async () => {
+    expect(() => {
+      connector.updateDataList('Sources', [{ label: 'D' }]);
+    }).toThrow('Sources: Unable to update an item without csv.rowIndex');
+  });
+
+  it('clears all rows except header rows', async () => {
+    connector.clearDataList('Sources');
+    let lines = readFile('sources.csv').trim().split('\n');
+    expect(lines.length).toEqual(3);
+    expect(connector.getDataList('Sources')).toEqual([]);
+  });
+
+  it('clears the generated header with all rows', async () => {
+    connector.appendDataList('Results', [{ id: 1, name: 'Adam' }]);
+    connector.clearDataList('Results');
+    expect(readFile('Results.csv')).toEqual('');
+
+    connector.appendDataList('Results', [{ id: 2, ssn: '123' }]);
+    expect(readFile('Results.csv')).toEqual('id,ssn\n2,"123"\n');
+  });
+
+  it('keeps strings like numbers or booleans after a round trip', async () => {
+    connector.appendDataList('Results', [{
+      zip: '02134', flag: 'true', count: 3, valid: false,
+    }]);
+    expect(readFile('Results.csv')).toEqual(
+      'zip,flag,count,valid\n"02134","true",3,false\n');
+
+    let items = connector.getDataList('Results');
+    expect(items[0]).toEqual({
+      zip: '02134', flag: 'true', count: 3, valid: false, csv: { rowIndex: 2 },
+    });
+
+    connector.updateDataList('Results', items);
+    expect(readFile('Results.csv')).toEqual(
+      'zip,flag,count,valid\n"02134","true",3,false\n');
+  });
+
+  it('writes top-level properties that are not identifiers', async () => {
+    connector.appendDataList('Results', [{ id: 1, 'top key': 'A' }]);
+    expect(readFile('Results.csv')).toEqual(
+      'id,"[""top key""]"\n1,A\n');
+    expect(connector.getDataList('Results')[0]['top key']).toEqual('A');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonConnector = require('../../src/connectors/json-connector');
+
+let connectorConfig;
+let connector;
+let tmpDir;
+
+const readJson = (filename) => {
+  return JSON.parse(fse.readFileSync(path.join(tmpDir, filename)));
+};
+
+const writeJson = (filename, data) => {
+  fse.writeFileSync(path.join(tmpDir, filename), JSON.stringify(data));
+};
+
+describe('JsonConnector', () => {
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'docai-json-'));
+    connectorConfig = {
+      dir: tmpDir,
+      envVarsDatasetId: 'Settings',
+      datasets: {
+        'Results': path.join(tmpDir, 'output', 'results.json'),
+      },
+    };
+    connector = new JsonConnector(connectorConfig, {} /* apiHandler */);
+
+    writeJson('Settings.json', {
+      projectId: 'TEST_PROJECTID',
+      oauthToken: 'TEST_TOKEN',
+    });
+    writeJson('Sources.json', [
+      { selected: true, label: 'A', docai: { processorId: 'p-1' } },
+      { selected: false, label: 'B', docai: { processorId: 'p-2' } },
+      { selected: true, label: 'C', docai: { processorId: 'p-3' } },
+    ]);
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('returns list of items from a dataset with row indexes', async () => {
+    let items = connector.getDataList('Sources');
+    expect(items).toEqual([
+      { selected: true, label: 'A', docai: { processorId: 'p-1' }, json: { rowIndex: 0 } },
+      { selected: false, label: 'B', docai: { processorId: 'p-2' }, json: { rowIndex: 1 } },
+      { selected: true, label: 'C', docai: { processorId: 'p-3' }, json: { rowIndex: 2 } },
+    ]);
+  });
+
+  it('returns list of items with filters', async () => {
+    let items = connector.getDataList('Sources', { filters: ['selected'] });
+    expect(items.map(item => item.label)).toEqual(['A', 'C']);
+
+    items = connector.getDataList('Sources', {
+      filters: ['docai.processorId === "p-2"'],
+    });
+    expect(items.map(item => item.label)).toEqual(['B']);
+  });
+
+  it('returns an empty list for a dataset without a file', async () => {
+    expect(connector.getDataList('NonExisting')).toEqual([]);
+    expect(connector.getDataJson('NonExisting')).toBe(null);
+  });
+
+  it('returns JSON object from a dataset', async () => {
+    expect(connector.getDataJson('Settings')).toEqual({
+      projectId: 'TEST_PROJECTID',
+      oauthToken: 'TEST_TOKEN',
+      json: { rowIndex: 0 },
+    });
+  });
+
+  it('returns environment variables', async () => {
+    expect(connector.getEnvVars()).toEqual({
+      projectId: 'TEST_PROJECTID',
+      oauthToken: 'TEST_TOKEN',
+    });
+
+    connector = new JsonConnector({ dir: tmpDir });
+    expect(connector.getEnvVars()).toEqual({});
+  });
+
+  it('appends items to a dataset with a configured path', async () => {
+    connector.appendDataList('Results', [{ id: 1, status: 'Retrieved' }]);
+    connector.appendDataList('Results', [
+      { id: 2, status: 'Retrieved' },
+      { id: 3, status: 'Error' },
+    ]);
+
+    expect(readJson('output/results.json')).toEqual([
+      { id: 1, status: 'Retrieved' },
+      { id: 2, status: 'Retrieved' },
+      { id: 3, status: 'Error' },
+    ]);
+  });
+
+  it('updates items based on row indexes', async () => {
+    let items = connector.getDataList('Sources', { filters: ['selected'] });
+    items.forEach(item => {
+      item.selected = false;
+    });
+    connector.updateDataList('Sources', items);
+
+    expect(readJson('Sources.json')).toEqual([
+      { selected: false, label: 'A', docai: { processorId: 'p-1' } },
+      { selected: false, label: 'B', docai: { processorId: 'p-2' } },
+      { selected: false, label: 'C', docai: { processorId: 'p-3' } },
+    ]);
+  });
+
+  it('throws an error when updating items without row indexes', async () => {
+    expect(() => {
+      connector.updateDataList('Sources', [{ label: 'D' }]);
+    }).toThrow('Sources: Unable to update an item without json.rowIndex');
+  });
+
+  it('clears all items in a dataset', async () => {
+    connector.clearDataList('Sources');
+    expect(readJson('Sources.json')).toEqual([]);
+  });
+});
@@ -425,6 +425,34 @@ describe('SheetsConnector additional functions', () => {
     expect(index).toEqual(4);
   });
 
+  it('converts typed values to dates, numbers and booleans', () => {
+    expect(connector.toCellValue({ type: 'date', value: '2022-01-31' }))
+      .toEqual(new Date(2022, 0, 31));
+    expect(connector.toCellValue({ type: 'datetime', value: '2022-01-31T08:30:15' }))
+      .toEqual(new Date(2022, 0, 31, 8, 30, 15));
+    expect(connector.toCellValue({ type: 'money', value: 12.5, currencyCode: 'USD' }))
+      .toEqual(12.5);
+    expect(connector.toCellValue({ type: 'boolean', value: true })).toBe(true);
+    expect(connector.toCellValue({ type: 'text', value: 'abc' })).toEqual('abc');
+    expect(connector.toCellValue({ type: 'date', value: 'Jan 31' })).toEqual('Jan 31');
+    expect(connector.toCellValue('2022-01-31')).toEqual('2022-01-31');
+    expect(connector.toCellValue(123)).toEqual(123);
+  });
+
+  it('truncates values longer than a cell can hold', () => {
+    let value = connector.toCellValue('a'.repeat(60000));
+    expect(value.length).toEqual(50000);
+    expect(value.endsWith('a [truncated]')).toBe(true);
+    expect(connector.toCellValue('a'.repeat(50000))).toEqual('a'.repeat(50000));
+
+    connector.appendDataList('Results-1', [{
+      id: 'id-9999',
+      fake: { url: 'a'.repeat(60000) },
+    }]);
+    let results = connector.getDataList('Results-1');
+    expect(results[results.length - 1].fake.url.length).toEqual(50000);
+  });
+
   it('throws error if not able to find a specific sheet', () => {
     expect(() => { connector.getSheet('NonExistingTab') }).toThrow(Error);
   });
@@ -21,6 +21,8 @@ const Connector = require('../src/connectors/connector');
 const Gatherer = require('../src/gatherers/gatherer');
 const Extension = require('../src/extensions/extension');
 const Status = require('../src/common/status');
+const { NodeApiHandler } = require('../src/helpers/node-helper');
+const patternFilter = require('../src/utils/pattern-filter');
 
 let generateFakeSources = function (amount, options) {
   options = options || {};
@@ -99,6 +101,8 @@ class FakeConnector extends Connector {
     super();
     this.sources = [];
     this.results = [];
+    this.children = [];
+    this.hashes = [];
   }
   getEnvVars() {
     return {
@@ -109,25 +113,29 @@ class FakeConnector extends Connector {
       }
     };
   }
-  getDataList(datasetId) {
+  getDataList(datasetId, options) {
+    let filters = (options || {}).filters;
     if (datasetId === 'Sources-1') {
-      return this.sources;
+      return patternFilter(this.sources, filters);
     } else if (datasetId === 'Results-1') {
-      return this.results;
+      return patternFilter(this.results, filters);
+    } else if (datasetId === 'Children-1') {
+      return patternFilter(this.children, filters);
+    } else if (datasetId === 'Hashes-1') {
+      return patternFilter(this.hashes, filters);
     }
     return [];
   }
   updateDataList(datasetId, newItems) {
+    let updateItems = (items) => {
+      return items.map(item => {
+        return newItems.filter(x => item.id === x.id)[0] || item;
+      });
+    };
     if (datasetId === 'Sources-1') {
-      if (datasetId === 'Sources-1') {
-        return this.sources;
-      } else if (datasetId === 'Results-1') {
-        return this.results;
-      }
+      this.sources = updateItems(this.sources);
     } else if (datasetId === 'Results-1') {
-      this.results.forEach(result => {
-        return newItems.filter(x => result.id === x.id)[0];
-      });
+      this.results = updateItems(this.results);
     }
   }
   appendDataList(datasetId, newItems) {
@@ -135,17 +143,41 @@ class FakeConnector extends Connector {
       this.sources = this.sources.concat(newItems);
     } else if (datasetId === 'Results-1') {
       this.results = this.results.concat(newItems);
+    } else if (datasetId === 'Children-1') {
+      this.children = this.children.concat(newItems);
+    } else if (datasetId === 'Hashes-1') {
+      this.hashes = this.hashes.concat(newItems);
     }
   }
   clearDataList(datasetId) {
-    this.results = [];
+    if (datasetId === 'Hashes-1') {
+      this.hashes = [];
+    } else {
+      this.results = [];
+    }
   }
 }
 
 class FakeGatherer extends Gatherer {
   run(source) {
     let data;
-    if (source.multiRowsData) {
+    if (source.failed) {
+      return { status: Status.ERROR, errors: ['Failed'] };
+    }
+    if (source.childRows) {
+      return {
+        status: Status.RETRIEVED,
+        data: { key: 'test' },
+        childRows: [{ item: 'a' }, { item: 'b' }],
+      };
+    }
+    if (source.routedRows) {
+      data = [
+        { key: 'test1' },
+        { key: 'test2', destDatasetId: 'Children-1' },
+        { key: 'test3' },
+      ];
+    } else if (source.multiRowsData) {
       data = [{
         key: 'test1',
       }, {
@@ -163,6 +195,15 @@ class FakeGatherer extends Gatherer {
       data: data,
     };
   }
+  retrieve(result) {
+    return {
+      status: Status.RETRIEVED,
+      metadata: result.fake.metadata,
+      data: {
+        key: 'retrieved',
+      },
+    };
+  }
 }
 
 class FakeExtension extends Extension {
@@ -207,6 +248,15 @@ describe('DataGathererFramework with fake modules', () => {
     expect(core).not.toBe(null);
   });
 
+  it('throws an error with an unsupported connector.', async () => {
+    expect(() => {
+      new DataGathererFramework({
+        helper: 'fake',
+        connector: 'non-existing',
+      });
+    }).toThrow('Unable to load connector: ./connectors/non-existing-connector');
+  });
+
   it('runs with a single source data and gets result.', async () => {
     let fakeSources = generateFakeSources(1);
     await core.run({
@@ -220,6 +270,18 @@ describe('DataGathererFramework with fake modules', () => {
     expect(actualResults).toEqual(expectedResults);
   });
 
+  it('runs with a list of source data and gets results.', async () => {
+    await core.run({
+      srcData: generateFakeSources(3),
+      destDatasetId: 'Results-1',
+    });
+
+    let expectedResults = generateFakeResults(3);
+    let actualResults = await core.getDataList('Results-1');
+    actualResults = cleanFakeResults(actualResults);
+    expect(actualResults).toEqual(expectedResults);
+  });
+
   it('runs through a list of sources and gets results.', async () => {
     let sources = generateFakeSources(10);
     core.connector.appendDataList('Sources-1', sources);
@@ -234,6 +296,58 @@ describe('DataGathererFramework with fake modules', () => {
     expect(actualResults).toEqual(expectedResults);
   });
 
+  it('runs sources concurrently and keeps the order of results.', async () => {
+    let running = 0, maxRunning = 0;
+    let appendedIds = [];
+    class AsyncGatherer extends Gatherer {
+      async run(source) {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        // Later sources complete earlier.
+        let delay = 100 - parseInt(source.id.replace('source-', ''));
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return {
+          status: Status.RETRIEVED,
+          metadata: (source.fake || {}).metadata,
+          data: { key: 'test' },
+        };
+      }
+    }
+    core.gatherers.fake = new AsyncGatherer();
+    core.batchUpdateBuffer = 2;
+    let appendDataList = core.connector.appendDataList.bind(core.connector);
+    core.connector.appendDataList = (datasetId, newItems) => {
+      appendedIds.push(newItems.map(item => item.label));
+      appendDataList(datasetId, newItems);
+    };
+
+    await core.run({
+      srcData: generateFakeSources(7),
+      destDatasetId: 'Results-1',
+      concurrency: 3,
+    });
+
+    expect(maxRunning).toEqual(3);
+    // Results are appended in batches, in the same order as sources.
+    expect(appendedIds.filter(ids => ids.length > 0).length).toBeGreaterThan(1);
+    expect([].concat(...appendedIds)).toEqual([
+      'label-1', 'label-2', 'label-3', 'label-4', 'label-5', 'label-6',
+      'label-7',
+    ]);
+    let actualResults = cleanFakeResults(await core.getDataList('Results-1'));
+    expect(actualResults).toEqual(generateFakeResults(7));
+  });
+
+  it('runs sources one at a time with the Sheets helper.', async () => {
+    core.concurrency = 5;
+    expect(core.getConcurrency({})).toEqual(5);
+    expect(core.getConcurrency({ concurrency: 2 })).toEqual(2);
+
+    core.coreConfig.helper = 'sheets';
+    expect(core.getConcurrency({ concurrency: 2 })).toEqual(1);
+  });
+
   it('retrieves non-complete results.', async () => {
     core.connector.sources = generateFakeSources(1);
     await core.run({
@@ -262,6 +376,93 @@ describe('DataGathererFramework with fake modules', () => {
     expect(results).toEqual(expectedResults);
   });
 
+  it('retrieves pending results and updates them in place.', async () => {
+    core.connector.results = generateFakeResults(3);
+    core.connector.results[1].status = Status.SUBMITTED;
+    core.connector.results[1].fake.status = Status.SUBMITTED;
+
+    let response = await core.retrieve('Results-1');
+    expect(response.results.length).toEqual(1);
+
+    let results = await core.getDataList('Results-1');
+    expect(results.length).toEqual(3);
+    expect(results[0].fake.data.key).toEqual('test');
+    expect(results[1].status).toEqual(Status.RETRIEVED);
+    expect(results[1].fake.data.key).toEqual('retrieved');
+    expect(results[2].fake.data.key).toEqual('test');
+
+    let extension = core.extensions.fake;
+    expect(extension.beforeAllRetrieves.mock.calls.length).toBe(1);
+    expect(extension.beforeRetrieve.mock.calls.length).toBe(1);
+    expect(extension.afterRetrieve.mock.calls.length).toBe(1);
+    expect(extension.afterAllRetrieves.mock.calls.length).toBe(1);
+  });
+
+  it('retrieves results with the gatherers of the run.', async () => {
+    core.connector.sources = generateFakeSources(2);
+    core.connector.sources.forEach(source => delete source.gatherer);
+    core.gatherers.fake.run = () => ({ status: Status.SUBMITTED });
+
+    await core.run({
+      gatherer: ['fake'],
+      srcDatasetId: 'Sources-1',
+      destDatasetId: 'Results-1',
+    });
+    let results = await core.getDataList('Results-1');
+    expect(results.map(result => result.gatherer)).toEqual(['fake', 'fake']);
+    expect(results[0].status).toEqual(Status.SUBMITTED);
+
+    // Results without gatherers are not retrieved nor updated.
+    delete core.connector.results[1].gatherer;
+    let response = await core.retrieve('Results-1');
+    expect(response.results.length).toEqual(1);
+
+    results = await core.getDataList('Results-1');
+    expect(results[0].status).toEqual(Status.RETRIEVED);
+    expect(results[0].fake.data.key).toEqual('retrieved');
+    expect(results[1].status).toEqual(Status.SUBMITTED);
+    expect(results[1].fake.status).toEqual(Status.SUBMITTED);
+  });
+
+  it('returns pending as the overall status without gatherers.', () => {
+    expect(core.getOverallStatus([])).toEqual(Status.SUBMITTED);
+  });
+
+  it('retrieves pending results in batch with retrieveBatchAsync.', async () => {
+    core.connector.results = generateFakeResults(3, { status: Status.SUBMITTED });
+    core.gatherers.fake.retrieveBatchAsync = jest.fn(async (results) => {
+      return results.map(result => ({
+        status: Status.RETRIEVED,
+        data: { key: 'batch-' + result.id },
+      }));
+    });
+    core.gatherers.fake.retrieve = jest.fn();
+
+    await core.retrieve('Results-1');
+
+    let results = await core.getDataList('Results-1');
+    expect(core.gatherers.fake.retrieveBatchAsync.mock.calls.length).toBe(1);
+    expect(core.gatherers.fake.retrieve).not.toHaveBeenCalled();
+    expect(results.map(result => result.status)).toEqual([
+      Status.RETRIEVED, Status.RETRIEVED, Status.RETRIEVED]);
+    expect(results[2].fake.data.key).toEqual('batch-result-3');
+  });
+
+  it('keeps results pending until gatherers retrieve them.', async () => {
+    core.connector.results = generateFakeResults(2, { status: Status.SUBMITTED });
+    core.gatherers.fake.retrieve = (result) => {
+      if (result.id === 'result-1') return { ...result.fake };
+      throw new Error('Fake retrieve error');
+    };
+
+    let response = await core.retrieve('Results-1');
+
+    let results = await core.getDataList('Results-1');
+    expect(results[0].status).toEqual(Status.SUBMITTED);
+    expect(results[1].status).toEqual(Status.ERROR);
+    expect(response.errors).toEqual(['[fake] Fake retrieve error']);
+  });
+
   it('runs and retrieves all results with partial updates with long list.',
     async () => {
       let expectedResults;
@@ -409,6 +610,28 @@ describe('DataGathererFramework with fake modules', () => {
       expect(result.fake2).toBeDefined();
       expect(result.fake3).toBeDefined();
       expect(result.status).toEqual(Status.ERROR);
+
+      // When any gatherer needs review and others are retrieved.
+      core.connector.sources = generateFakeSources(1);
+      core.connector.sources[0].gatherer = ['fake1', 'fake2', 'fake3'];
+      core.gatherers = {
+        fake1: genGatherer(Status.RETRIEVED),
+        fake2: genGatherer(Status.NEEDS_REVIEW),
+        fake3: genGatherer(Status.RETRIEVED),
+      }
+      await core.run({
+        srcDatasetId: 'Sources-1',
+        destDatasetId: 'Results-1',
+      });
+
+      result = (await core.getDataList('Results-1'))[4];
+      expect(result.status).toEqual(Status.NEEDS_REVIEW);
+
+      // Pending and error statuses take precedence over needs review.
+      expect(core.getOverallStatus([Status.NEEDS_REVIEW, Status.SUBMITTED]))
+        .toEqual(Status.SUBMITTED);
+      expect(core.getOverallStatus([Status.NEEDS_REVIEW, Status.ERROR]))
+        .toEqual(Status.ERROR);
     });
 
   it('gets overall errors from all gatherers.', () => {
@@ -437,6 +660,22 @@ describe('DataGathererFramework with fake modules', () => {
     };
     errors = core.getOverallErrors(result);
     expect(errors.length).toBe(0);
+
+    result = {
+      gatherer: 'fake',
+      fake: {
+        status: Status.NEEDS_REVIEW,
+        validationErrors: [
+          { field: 'ssn', rule: 'type', value: '12', message: 'ssn is not a valid ssn' },
+          { field: 'date', rule: 'required', value: null, message: 'date is required' },
+        ],
+      },
+    };
+    errors = core.getOverallErrors(result);
+    expect(errors).toEqual([
+      '[fake] ssn is not a valid ssn',
+      '[fake] date is required',
+    ]);
   });
 
   it('override results with overrideResults flag', async () => {
@@ -483,4 +722,218 @@ describe('DataGathererFramework with fake modules', () => {
     expect(results[0].fake.data.key).toEqual('test1');
     expect(results[1].fake.data.key).toEqual('test2');
   });
+
+  it('generates multiple rows with unique ids and parentId.', async () => {
+    await core.run({
+      srcData: [{
+        gatherer: 'fake',
+        multiRowsData: true,
+      }, {
+        gatherer: 'fake',
+        multiRowsData: true,
+      }],
+      destDatasetId: 'Results-1',
+      multiRowsGatherer: 'fake',
+    });
+    let results = await core.getDataList('Results-1');
+    expect(results.length).toEqual(4);
+
+    let ids = results.map(result => result.id);
+    expect(new Set(ids).size).toEqual(4);
+    expect(ids).toEqual(ids.slice().sort((a, b) => a - b));
+    expect(results[0].parentId).toEqual(results[1].parentId);
+    expect(results[1].parentId).not.toEqual(results[2].parentId);
+  });
+
+  it('appends multiple rows to the destDatasetId of each row.', async () => {
+    await core.run({
+      srcData: [{
+        gatherer: 'fake',
+        routedRows: true,
+      }, {
+        gatherer: 'fake',
+        routedRows: true,
+      }],
+      destDatasetId: 'Results-1',
+      multiRowsGatherer: 'fake',
+    });
+    let results = await core.getDataList('Results-1');
+    let routedResults = await core.getDataList('Children-1');
+    expect(results.map(result => result.fake.data.key)).toEqual([
+      'test1', 'test3', 'test1', 'test3',
+    ]);
+    expect(routedResults.length).toEqual(2);
+    expect(routedResults[0].fake.data.key).toEqual('test2');
+    expect(routedResults[0].destDatasetId).toEqual('Children-1');
+    expect(routedResults[0].parentId).toEqual(results[0].parentId);
+    expect(results[0].destDatasetId).toBe(undefined);
+  });
+
+  it('appends child rows to childDatasetId with parentId.', async () => {
+    await core.run({
+      srcData: {
+        gatherer: 'fake',
+        childRows: true,
+      },
+      destDatasetId: 'Results-1',
+      childDatasetId: 'Children-1',
+    });
+    let results = await core.getDataList('Results-1');
+    let children = await core.getDataList('Children-1');
+    expect(results.length).toEqual(1);
+    expect(results[0].fake.childRows).toBe(undefined);
+    expect(children.length).toEqual(2);
+    expect(children[0].parentId).toEqual(results[0].id);
+    expect(children[1].parentId).toEqual(results[0].id);
+    expect(children[0].fake.data).toEqual({ item: 'a' });
+    expect(children[1].fake.data).toEqual({ item: 'b' });
+    expect(children[0].id).not.toEqual(children[1].id);
+  });
+
+  describe('deduplication', () => {
+    // Base64 of "abc" and "def".
+    let abcSource = { gatherer: 'fake', label: 'abc.pdf', contentBase64: 'YWJj' };
+    let defSource = { gatherer: 'fake', label: 'def.pdf', contentBase64: 'ZGVm' };
+    let abcHash =
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+    beforeEach(() => {
+      core.apiHandler = new NodeApiHandler();
+    });
+
+    it('marks sources with processed content as duplicates.', async () => {
+      await core.run({
+        srcData: [abcSource, { ...abcSource, label: 'abc-2.pdf' }, defSource],
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+      });
+      let results = await core.getDataList('Results-1');
+      expect(results.map(result => result.status)).toEqual([
+        Status.RETRIEVED, Status.DUPLICATE, Status.RETRIEVED,
+      ]);
+      expect(results[0].contentHash).toEqual(abcHash);
+      expect(results[1].duplicateOf).toEqual(results[0].id);
+      expect(results[1].fake).toBe(undefined);
+      expect(results[2].duplicateOf).toBe(undefined);
+
+      let hashes = await core.getDataList('Hashes-1');
+      expect(hashes.length).toEqual(2);
+      expect(hashes[0]).toEqual({
+        contentHash: abcHash,
+        datasetId: 'Results-1',
+        resultId: results[0].id,
+        label: 'abc.pdf',
+        url: undefined,
+        createdTimestamp: results[0].createdTimestamp,
+      });
+
+      // Repeats in later runs point to the original Result.
+      await core.run({
+        srcData: defSource,
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+      });
+      results = await core.getDataList('Results-1');
+      expect(results[3].status).toEqual(Status.DUPLICATE);
+      expect(results[3].duplicateOf).toEqual(results[2].id);
+      expect((await core.getDataList('Hashes-1')).length).toEqual(2);
+    });
+
+    it('points duplicates of split sources to the first row.', async () => {
+      let splitSource = { ...abcSource, multiRowsData: true };
+      await core.run({
+        srcData: [splitSource, splitSource],
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+        multiRowsGatherer: 'fake',
+        concurrency: 2,
+      });
+      let results = await core.getDataList('Results-1');
+      expect(results.map(result => result.status)).toEqual([
+        Status.RETRIEVED, Status.RETRIEVED, Status.DUPLICATE,
+      ]);
+      expect(results[2].duplicateOf).toEqual(results[0].id);
+
+      let hashes = await core.getDataList('Hashes-1');
+      expect(hashes[0].resultId).toEqual(results[0].id);
+    });
+
+    it('gathers a repeat in the same run when the original fails.', async () => {
+      await core.run({
+        srcData: [
+          { ...abcSource, failed: true },
+          { ...abcSource, label: 'abc-2.pdf' },
+          { ...abcSource, label: 'abc-3.pdf' },
+        ],
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+        concurrency: 3,
+      });
+      let results = await core.getDataList('Results-1');
+      expect(results.map(result => result.status)).toEqual([
+        Status.ERROR, Status.RETRIEVED, Status.DUPLICATE,
+      ]);
+      expect(results[2].duplicateOf).toEqual(results[1].id);
+
+      let hashes = await core.getDataList('Hashes-1');
+      expect(hashes.length).toEqual(1);
+      expect(hashes[0].resultId).toEqual(results[1].id);
+    });
+
+    it('keeps hashes per destination dataset.', async () => {
+      await core.run({
+        srcData: abcSource,
+        destDatasetId: 'Children-1',
+        dedupDatasetId: 'Hashes-1',
+      });
+      await core.run({
+        srcData: abcSource,
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+      });
+      let results = await core.getDataList('Results-1');
+      expect(results[0].status).toEqual(Status.RETRIEVED);
+      expect((await core.getDataList('Hashes-1')).length).toEqual(2);
+    });
+
+    it('skips duplicates with skipDuplicates.', async () => {
+      await core.run({
+        srcData: [abcSource, abcSource],
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+        skipDuplicates: true,
+      });
+      let results = await core.getDataList('Results-1');
+      expect(results.length).toEqual(1);
+      expect(results[0].status).toEqual(Status.RETRIEVED);
+    });
+
+    it('removes hashes of overridden results.', async () => {
+      await core.run({
+        srcData: abcSource,
+        destDatasetId: 'Children-1',
+        dedupDatasetId: 'Hashes-1',
+      });
+      await core.run({
+        srcData: abcSource,
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+      });
+      await core.run({
+        srcData: abcSource,
+        destDatasetId: 'Results-1',
+        dedupDatasetId: 'Hashes-1',
+        overrideResults: true,
+      });
+      let results = await core.getDataList('Results-1');
+      expect(results.length).toEqual(1);
+      expect(results[0].status).toEqual(Status.RETRIEVED);
+
+      let hashes = await core.getDataList('Hashes-1');
+      expect(hashes.map(item => item.datasetId)).toEqual([
+        'Children-1', 'Results-1',
+      ]);
+      expect(hashes[1].resultId).toEqual(results[0].id);
+    });
+  });
 });
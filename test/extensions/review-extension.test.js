@@ -0,0 +1,183 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Status = require('../../src/common/status');
+const JsonConnector = require('../../src/connectors/json-connector');
+const ReviewExtension = require('../../src/extensions/review-extension');
+
+describe('ReviewExtension', () => {
+  let tmpDir, connector, extension;
+
+  let result = {
+    id: 101,
+    label: 'form.pdf',
+    url: 'https://drive.google.com/file/d/form',
+    status: Status.NEEDS_REVIEW,
+    docai: {
+      status: Status.NEEDS_REVIEW,
+      data: {
+        name: { value: 'Jane', confidence: 0.95 },
+        email: {
+          value: 'jane@example',
+          confidence: 0.9,
+          invalid: true,
+          validationError: 'email is not a valid email',
+        },
+        ssn: {
+          value: '128-45-6789',
+          confidence: 0.4,
+          lowConfidence: true,
+          pageNumber: 2,
+          pageUrl: 'https://drive.google.com/file/d/form#page=2',
+        },
+        phone: [
+          { value: '555-0100', confidence: 0.9 },
+          { value: '555-0I01', confidence: 0.5, lowConfidence: true },
+        ],
+      },
+      quality: {
+        lowConfidenceFields: ['ssn', 'phone'],
+        reviewFields: ['ssn', 'address'],
+      },
+    },
+  };
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'docai-review-'));
+    connector = new JsonConnector({ dir: tmpDir });
+    extension = new ReviewExtension({ connector: connector }, {});
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('queues flagged fields into the review tab after all runs.', () => {
+    extension.afterAllRuns({
+      results: [result, { id: 102, docai: { data: { name: { value: 'John' } } } }],
+    }, { destDatasetId: 'Results' });
+
+    let reviewItems = connector.getDataList('Review');
+    expect(reviewItems.map(item => item.field)).toEqual([
+      'email', 'ssn', 'phone[1]', 'address',
+    ]);
+    expect(reviewItems[0].validationError).toEqual('email is not a valid email');
+    expect(reviewItems[1]).toEqual({
+      resultId: 101,
+      datasetId: 'Results',
+      label: 'form.pdf',
+      url: 'https://drive.google.com/file/d/form#page=2',
+      pageNumber: 2,
+      field: 'ssn',
+      value: '128-45-6789',
+      confidence: 0.4,
+      validationError: null,
+      correctedValue: null,
+      approved: false,
+      reviewStatus: 'Pending',
+      json: { rowIndex: 1 },
+    });
+    expect(reviewItems[3].value).toBe(null);
+    expect(reviewItems[3].url).toEqual('https://drive.google.com/file/d/form');
+  });
+
+  it('writes approved corrections back to results with an audit trail.', () => {
+    connector.appendDataList('Results', [result]);
+    extension.afterAllRuns({ results: [result] }, { destDatasetId: 'Results' });
+
+    // Approve the SSN with a correction, and the phone without.
+    let reviewItems = connector.getDataList('Review');
+    reviewItems[1].correctedValue = '123-45-6789';
+    reviewItems[1].approved = true;
+    reviewItems[2].approved = 'TRUE';
+    connector.updateDataList('Review', reviewItems);
+
+    let response = extension.applyReviews({ reviewer: 'reviewer@example.com' });
+    expect(response).toEqual({ applied: 2, errors: [] });
+
+    let updatedResult = connector.getDataList('Results')[0];
+    expect(updatedResult.docai.data.ssn).toEqual({
+      value: '123-45-6789',
+      originalValue: '128-45-6789',
+      confidence: 0.4,
+      lowConfidence: true,
+      pageNumber: 2,
+      pageUrl: 'https://drive.google.com/file/d/form#page=2',
+      reviewed: true,
+    });
+    expect(updatedResult.docai.data.phone[1].value).toEqual('555-0I01');
+    expect(updatedResult.docai.data.phone[1].reviewed).toBe(true);
+    // The email and address are still pending.
+    expect(updatedResult.status).toEqual(Status.NEEDS_REVIEW);
+
+    let auditItems = connector.getDataList('Review Audit');
+    expect(auditItems.length).toEqual(2);
+    expect(auditItems[0]).toMatchObject({
+      resultId: 101,
+      datasetId: 'Results',
+      field: 'ssn',
+      originalValue: '128-45-6789',
+      correctedValue: '123-45-6789',
+      reviewer: 'reviewer@example.com',
+    });
+
+    reviewItems = connector.getDataList('Review');
+    expect(reviewItems.map(item => item.reviewStatus)).toEqual([
+      'Pending', 'Applied', 'Applied', 'Pending',
+    ]);
+
+    // Applied items are not applied again. Approving the last items completes
+    // the review of the result.
+    reviewItems[0].correctedValue = 'jane@example.com';
+    reviewItems[0].approved = true;
+    reviewItems[3].correctedValue = '1600 Amphitheatre Pkwy';
+    reviewItems[3].approved = true;
+    connector.updateDataList('Review', reviewItems);
+
+    response = extension.applyReviews();
+    expect(response.applied).toEqual(2);
+
+    updatedResult = connector.getDataList('Results')[0];
+    expect(updatedResult.docai.data.address.value).toEqual('1600 Amphitheatre Pkwy');
+    expect(updatedResult.docai.data.ssn.originalValue).toEqual('128-45-6789');
+    expect(updatedResult.status).toEqual(Status.RETRIEVED);
+    expect(updatedResult.docai.status).toEqual(Status.RETRIEVED);
+    expect(updatedResult.docai.data.email.value).toEqual('jane@example.com');
+    expect(connector.getDataList('Review Audit').length).toEqual(4);
+  });
+
+  it('returns errors for review items of missing results.', () => {
+    connector.appendDataList('Review', [{
+      resultId: 999,
+      datasetId: 'Results',
+      field: 'ssn',
+      approved: true,
+      reviewStatus: 'Pending',
+    }]);
+
+    let response = extension.applyReviews();
+    expect(response).toEqual({
+      applied: 0,
+      errors: ['Result 999 not found in Results'],
+    });
+    expect(connector.getDataList('Review')[0].reviewStatus).toEqual('Error');
+  });
+});
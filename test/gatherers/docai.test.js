@@ -0,0 +1,1227 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DocaiGatherer = require('../../src/gatherers/docai');
+const ApiHandler = require('../../src/helpers/api-handler');
+const Status = require('../../src/common/status');
+
+/**
+ * A stand-in for DocAI and Cloud Storage endpoints, serving responses by URL.
+ */
+class FakeApiHandler extends ApiHandler {
+  constructor(routes) {
+    super();
+    this.routes = routes;
+    this.requests = [];
+  }
+  respond(method, url, options) {
+    this.requests.push({ method: method, url: url, options: options });
+    let route = Object.keys(this.routes).find(route => url.includes(route));
+    if (!route) return { statusCode: 404, error: { message: 'Not found' } };
+
+    let body = this.routes[route];
+    if (typeof body === 'function') body = body();
+    return { statusCode: 200, body: JSON.stringify(body) };
+  }
+  async get(url, options) {
+    return this.respond('GET', url, options);
+  }
+  async post(url, options) {
+    return this.respond('POST', url, options);
+  }
+}
+
+let createEntity = function (type, text, startIndex) {
+  return {
+    type: type,
+    mentionText: text,
+    confidence: 0.9,
+    textAnchor: {
+      textSegments: [{
+        startIndex: startIndex.toString(),
+        endIndex: (startIndex + text.length).toString(),
+      }],
+    },
+  };
+}
+
+let gathererOptions = {
+  projectId: 'project-1',
+  processorId: 'processor-1',
+  authorization: 'Bearer token',
+  retry: { maxAttempts: 1 },
+};
+
+describe('DocaiGatherer', () => {
+  it('processes a document and returns entities.', async () => {
+    let apiHandler = new FakeApiHandler({
+      ':process': {
+        document: {
+          text: 'Jane',
+          entities: [createEntity('name', 'Jane', 0)],
+        },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      documentType: 'ID',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    }, gathererOptions);
+
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.data.name.value).toEqual('Jane');
+    expect(response.metadata.retry).toEqual({
+      attempts: 1,
+      classification: 'success',
+    });
+  });
+
+  it('returns the humanReviewStatus and needs review when in progress.', async () => {
+    let humanReviewStatus = {
+      state: 'SKIPPED',
+      stateMessage: 'HumanReviewConfig is DISABLED, skipping human review.',
+    };
+    let apiHandler = new FakeApiHandler({
+      ':process': () => {
+        return {
+          document: {
+            text: 'Jane',
+            entities: [createEntity('name', 'Jane', 0)],
+          },
+          humanReviewStatus: humanReviewStatus,
+        };
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+    let source = {
+      documentType: 'ID',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    };
+
+    let response = await gatherer.run(source, gathererOptions);
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.humanReviewStatus.state).toEqual('SKIPPED');
+
+    humanReviewStatus = {
+      state: 'IN_PROGRESS',
+      stateMessage: 'Human review is in progress.',
+      humanReviewOperation: 'projects/p/locations/us/operations/1',
+    };
+    response = await gatherer.run(source, gathererOptions);
+    expect(response.status).toEqual(Status.NEEDS_REVIEW);
+    expect(response.statusText).toEqual('Needs review: Human review is in progress.');
+    expect(response.humanReviewStatus).toEqual(humanReviewStatus);
+  });
+
+  it('sends the MIME type of the source or detects it from content.', async () => {
+    let apiHandler = new FakeApiHandler({
+      ':process': { document: { text: '', entities: [] } },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+    let getMimeType = (index) => {
+      return apiHandler.requests[index].options.payload.rawDocument.mimeType;
+    };
+
+    await gatherer.run({
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    }, gathererOptions);
+    expect(getMimeType(0)).toEqual('application/pdf');
+
+    await gatherer.run({
+      contentBase64: Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]).toString('base64'),
+    }, gathererOptions);
+    expect(getMimeType(1)).toEqual('image/jpeg');
+
+    await gatherer.run({
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+      mimeType: 'image/tiff',
+    }, gathererOptions);
+    expect(getMimeType(2)).toEqual('image/tiff');
+  });
+
+  it('rejects unsupported MIME types before calling the API.', async () => {
+    let apiHandler = new FakeApiHandler({});
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      contentBase64: Buffer.from('plain text').toString('base64'),
+    }, gathererOptions);
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.error).toContain('Unable to detect the MIME type');
+
+    response = await gatherer.run({
+      contentBase64: Buffer.from('plain text').toString('base64'),
+      mimeType: 'text/plain',
+    }, gathererOptions);
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.error).toContain('MIME type text/plain is not supported');
+    expect(apiHandler.requests.length).toEqual(0);
+  });
+
+  it('submits a batchProcess operation and retrieves output shards.', async () => {
+    let operationDone = false;
+    let apiHandler = new FakeApiHandler({
+      ':batchProcess': {
+        name: 'projects/project-1/locations/us/operations/op-1',
+      },
+      'operations/op-1': () => ({
+        name: 'projects/project-1/locations/us/operations/op-1',
+        done: operationDone,
+        metadata: {
+          state: operationDone ? 'SUCCEEDED' : 'RUNNING',
+          individualProcessStatuses: [{
+            inputGcsSource: 'gs://input/doc.pdf',
+            status: {},
+            outputGcsDestination: 'gs://output/results/op-1/0',
+          }],
+        },
+      }),
+      '/b/output/o?prefix=results%2Fop-1%2F0%2F': {
+        items: [{ name: 'results/op-1/0/doc-1.json' }, { name: 'results/op-1/0/doc-0.json' }],
+      },
+      'doc-0.json?alt=media': {
+        shardInfo: { shardIndex: '0', shardCount: '2', textOffset: '0' },
+        text: 'Jane ',
+        pages: [{ pageNumber: 1 }],
+        entities: [createEntity('name', 'Jane', 0)],
+      },
+      'doc-1.json?alt=media': {
+        shardInfo: { shardIndex: '1', shardCount: '2', textOffset: '5' },
+        text: 'Doe',
+        pages: [{ pageNumber: 2 }],
+        entities: [createEntity('lastName', 'Doe', 0)],
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+    let options = {
+      ...gathererOptions,
+      batchProcess: true,
+      gcsOutputUri: 'gs://output/results',
+    };
+
+    let response = await gatherer.run({
+      documentType: 'ID',
+      gcsUri: 'gs://input/doc.pdf',
+    }, options);
+    expect(response.status).toEqual(Status.SUBMITTED);
+    expect(response.metadata.operationName).toEqual(
+      'projects/project-1/locations/us/operations/op-1');
+    let payload = apiHandler.requests[0].options.payload;
+    expect(payload.inputDocuments.gcsDocuments.documents[0].gcsUri).toEqual(
+      'gs://input/doc.pdf');
+    expect(payload.documentOutputConfig.gcsOutputConfig.gcsUri).toEqual(
+      'gs://output/results');
+
+    // Still running.
+    let result = { docai: response };
+    response = await gatherer.retrieve(result, options);
+    expect(response.status).toEqual(Status.SUBMITTED);
+    expect(response.metadata.state).toEqual('RUNNING');
+
+    // Done.
+    operationDone = true;
+    response = await gatherer.retrieve(result, options);
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.metadata.state).toEqual('SUCCEEDED');
+    expect(response.data.name.value).toEqual('Jane');
+    expect(response.data.lastName.value).toEqual('Doe');
+  });
+
+  it('returns an error when the batchProcess operation fails.', async () => {
+    let apiHandler = new FakeApiHandler({
+      'operations/op-1': {
+        done: true,
+        error: { code: 3, message: 'Invalid document' },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.retrieve({
+      docai: {
+        status: Status.SUBMITTED,
+        metadata: { operationName: 'projects/p/locations/us/operations/op-1' },
+      },
+    }, gathererOptions);
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.error).toEqual('Invalid document');
+  });
+
+  it('builds the API URL with location, apiEndpoint and apiVersion.', async () => {
+    let apiHandler = new FakeApiHandler({
+      ':process': { document: { text: '', entities: [] } },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+    let source = { contentBase64: Buffer.from('%PDF-1.4').toString('base64') };
+
+    await gatherer.run(source, gathererOptions);
+    expect(apiHandler.requests[0].url).toEqual(
+      'https://us-documentai.googleapis.com/v1/projects/project-1/' +
+      'locations/us/processors/processor-1:process');
+
+    await gatherer.run(source, {
+      ...gathererOptions,
+      location: 'eu',
+      apiVersion: 'v1beta3',
+    });
+    expect(apiHandler.requests[1].url).toEqual(
+      'https://eu-documentai.googleapis.com/v1beta3/projects/project-1/' +
+      'locations/eu/processors/processor-1:process');
+
+    await gatherer.run(source, {
+      ...gathererOptions,
+      location: 'eu',
+      apiEndpoint: 'http://localhost:8080/',
+    });
+    expect(apiHandler.requests[2].url).toEqual(
+      'http://localhost:8080/v1/projects/project-1/' +
+      'locations/eu/processors/processor-1:process');
+
+    let response = await gatherer.run(source, {
+      ...gathererOptions,
+      apiVersion: 'v2',
+    });
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.error).toContain('apiVersion v2 is not supported');
+  });
+
+  it('polls the operation at the endpoint of its location.', async () => {
+    let apiHandler = new FakeApiHandler({
+      'operations/op-1': { done: false },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    await gatherer.retrieve({
+      docai: {
+        status: Status.SUBMITTED,
+        metadata: { operationName: 'projects/p/locations/eu/operations/op-1' },
+      },
+    }, gathererOptions);
+    expect(apiHandler.requests[0].url).toEqual(
+      'https://eu-documentai.googleapis.com/v1/projects/p/locations/eu/operations/op-1');
+  });
+
+  it('extracts table rows keyed by headers.', async () => {
+    let text = 'Item Qty\nApple 2\nPear 3\nTotal 5\n';
+    let getCell = (content, options) => {
+      let startIndex = text.indexOf(content);
+      return {
+        layout: {
+          textAnchor: {
+            textSegments: [{
+              startIndex: startIndex.toString(),
+              endIndex: (startIndex + content.length).toString(),
+            }],
+          },
+          confidence: 0.9,
+        },
+        ...(options || {}),
+      };
+    };
+    let document = {
+      text: text,
+      pages: [{
+        pageNumber: 1,
+        tables: [{
+          headerRows: [{ cells: [getCell('Item'), getCell('Qty')] }],
+          bodyRows: [
+            { cells: [getCell('Apple'), getCell('2')] },
+            { cells: [getCell('Pear'), getCell('3')] },
+          ],
+        }],
+      }, {
+        pageNumber: 2,
+        tables: [{
+          headerRows: [{ cells: [getCell('Item', { colSpan: 2 })] }],
+          bodyRows: [{ cells: [getCell('Total'), getCell('5')] }],
+        }],
+      }],
+    };
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+
+    let rows = gatherer.getTableRows(document, [{ key: 'Qty', newKey: 'quantity' }]);
+    expect(rows).toEqual([{
+      tableIndex: 0,
+      rowIndex: 0,
+      pageNumber: 1,
+      Item: { value: 'Apple', confidence: 0.9 },
+      quantity: { value: '2', confidence: 0.9 },
+    }, {
+      tableIndex: 0,
+      rowIndex: 1,
+      pageNumber: 1,
+      Item: { value: 'Pear', confidence: 0.9 },
+      quantity: { value: '3', confidence: 0.9 },
+    }, {
+      tableIndex: 1,
+      rowIndex: 0,
+      pageNumber: 2,
+      Item: { value: 'Total', confidence: 0.9 },
+      'Item (2)': { value: '5', confidence: 0.9 },
+    }]);
+
+    let response = gatherer.getRetrievedResponse(document, 'Invoice', {}, {
+      tableRows: 'childRows',
+    });
+    expect(response.data).toEqual({});
+    expect(response.childRows.length).toEqual(3);
+
+    response = gatherer.getRetrievedResponse(document, 'Invoice', {}, {
+      tableRows: 'data',
+    });
+    expect(response.data.length).toEqual(3);
+  });
+
+  it('handles duplicate form field labels with a strategy.', async () => {
+    let text = 'Name Jane\nDate 2022-01-05\nName John\nDate 2022-02-01\n';
+    let getAnchor = (content, from) => {
+      let startIndex = text.indexOf(content, from || 0);
+      return {
+        content: content,
+        textSegments: [{
+          startIndex: startIndex.toString(),
+          endIndex: (startIndex + content.length).toString(),
+        }],
+      };
+    };
+    let getField = (name, value, from) => {
+      return {
+        fieldName: { textAnchor: getAnchor(name, from) },
+        fieldValue: { textAnchor: getAnchor(value), confidence: 0.9 },
+      };
+    };
+    let document = {
+      text: text,
+      pages: [{
+        pageNumber: 1,
+        formFields: [
+          getField('Name', 'Jane'),
+          getField('Date', '2022-01-05'),
+          getField('Name', 'John', 15),
+        ],
+      }, {
+        pageNumber: 3,
+        formFields: [getField('Date', '2022-02-01', 20)],
+      }],
+    };
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+    let getValues = (data) => {
+      let values = {};
+      Object.keys(data).forEach(key => {
+        values[key] = Array.isArray(data[key]) ?
+          data[key].map(field => field.value) : data[key].value;
+      });
+      return values;
+    };
+
+    let data = gatherer.getOutputData(document, 'Form', {});
+    expect(getValues(data)).toEqual({ Name: 'John', Date: '2022-02-01' });
+
+    data = gatherer.getOutputData(document, 'Form', { duplicateKeys: 'array' });
+    expect(getValues(data)).toEqual({
+      Name: ['Jane', 'John'],
+      Date: ['2022-01-05', '2022-02-01'],
+    });
+
+    data = gatherer.getOutputData(document, 'Form', { duplicateKeys: 'suffix' });
+    expect(getValues(data)).toEqual({
+      'Name': 'Jane',
+      'Date': '2022-01-05',
+      'Name (2)': 'John',
+      'Date (2)': '2022-02-01',
+    });
+
+    data = gatherer.getOutputData(document, 'Form', { duplicateKeys: 'page' });
+    expect(getValues(data)).toEqual({
+      'Name (page 1)': 'Jane',
+      'Date (page 1)': '2022-01-05',
+      'Name (page 1) (2)': 'John',
+      'Date (page 3)': '2022-02-01',
+    });
+
+    // Each occurrence is listed as a field key and can be remapped.
+    let fieldKeys = gatherer.getOutputData(document, 'Form', {
+      duplicateKeys: 'array',
+      fieldKeyOnly: true,
+    });
+    expect(fieldKeys.map(item => item.key)).toEqual([
+      'Name[0]', 'Name[1]', 'Date[0]', 'Date[1]',
+    ]);
+    expect(fieldKeys[1].sampleValue).toEqual('John');
+
+    data = gatherer.getOutputData(document, 'Form', {
+      duplicateKeys: 'array',
+      keyRemapList: [
+        { key: 'Name[0]', newKey: 'applicant_name' },
+        { key: 'Name[1]', newKey: 'co_applicant_name' },
+        { key: 'Date[1]', newKey: 'signed_date' },
+      ],
+    });
+    expect(getValues(data)).toEqual({
+      applicant_name: 'Jane',
+      co_applicant_name: 'John',
+      Date: ['2022-01-05'],
+      signed_date: '2022-02-01',
+    });
+  });
+
+  it('flags low-confidence fields and needs review for required fields.', async () => {
+    let document = {
+      text: 'Jane 123-45-6789 2022-01-05',
+      entities: [
+        { ...createEntity('name', 'Jane', 0), confidence: 0.95 },
+        { ...createEntity('ssn', '123-45-6789', 5), confidence: 0.4 },
+        { ...createEntity('date', '2022-01-05', 17), confidence: 0.7 },
+      ],
+    };
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+
+    // Without minConfidence, only the quality score is returned.
+    let response = gatherer.getRetrievedResponse(document, 'ID', {}, {});
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.quality).toEqual({
+      minConfidence: 0.4,
+      avgConfidence: 0.6833,
+      lowConfidenceFields: [],
+      reviewFields: [],
+    });
+
+    // Low-confidence fields that are not required are flagged only.
+    response = gatherer.getRetrievedResponse(document, 'ID', {}, {
+      minConfidence: 0.8,
+    });
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.data.name.lowConfidence).toBe(undefined);
+    expect(response.data.ssn.lowConfidence).toBe(true);
+    expect(response.quality.lowConfidenceFields).toEqual(['ssn', 'date']);
+
+    // Per-field minConfidence overrides the global one, with remapped keys.
+    response = gatherer.getRetrievedResponse(document, 'ID', {}, {
+      minConfidence: 0.8,
+      keyRemapList: [
+        { key: 'ssn', newKey: 'SSN', minConfidence: 0.9, required: 'TRUE' },
+        { key: 'date', minConfidence: '0.5' },
+        { key: 'name', required: true },
+      ],
+    });
+    expect(response.status).toEqual(Status.NEEDS_REVIEW);
+    expect(response.statusText).toEqual('Needs review: SSN');
+    expect(response.data.SSN.lowConfidence).toBe(true);
+    expect(response.quality.lowConfidenceFields).toEqual(['SSN']);
+    expect(response.quality.reviewFields).toEqual(['SSN']);
+
+    // Missing required fields need review as well.
+    response = gatherer.getRetrievedResponse(document, 'ID', {}, {
+      keyRemapList: [{ key: 'address', required: true }],
+    });
+    expect(response.status).toEqual(Status.NEEDS_REVIEW);
+    expect(response.quality.reviewFields).toEqual(['address']);
+  });
+
+  it('transforms values of remapped fields.', async () => {
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+    let data = {
+      'Name:': { value: ' jane DOE ', confidence: 0.9 },
+      'Total': { value: '$1,234.50', confidence: 0.8 },
+      'Married': { value: true, confidence: 0.9 },
+      'Date': [
+        { value: 'Jan 5, 2022', confidence: 0.9 },
+        { value: '2/1/2022', confidence: 0.9 },
+      ],
+      'Notes': { value: '', confidence: 0.5 },
+    };
+
+    let newData = gatherer.remapKeys(data, [
+      { key: 'Name:', newKey: 'name', transform: 'trim | title' },
+      { key: 'Total', transform: 'number' },
+      { key: 'Married', newKey: 'married', transform: 'checkbox' },
+      { key: 'Date[1]', newKey: 'signed_date', transform: 'date:MM/DD/YYYY' },
+      { key: 'Date', transform: 'date' },
+      { key: 'Notes', transform: 'default:None' },
+    ]);
+    expect(newData).toEqual({
+      name: { value: 'Jane Doe', confidence: 0.9 },
+      Total: { value: 1234.5, confidence: 0.8 },
+      married: { value: 'Yes', confidence: 0.9 },
+      signed_date: { value: '02/01/2022', confidence: 0.9 },
+      Date: [{ value: '2022-01-05', confidence: 0.9 }],
+      Notes: { value: 'None', confidence: 0.5 },
+    });
+    // The original data is not changed.
+    expect(data['Name:'].value).toEqual(' jane DOE ');
+  });
+
+  it('matches labels to field keys after normalization or by similarity.', async () => {
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+    let data = {
+      'LAST NAME': { value: 'Doe', confidence: 0.9 },
+      'First Narne:': { value: 'Jane', confidence: 0.9 },
+      'Phone': { value: '555-0100', confidence: 0.9 },
+      'Email:': { value: 'jane@example.com', confidence: 0.9 },
+      'E-mail': { value: 'doe@example.com', confidence: 0.9 },
+    };
+    let keyRemapList = [
+      { key: 'Last Name:', newKey: 'last_name' },
+      { key: 'First Name:', newKey: 'first_name' },
+      { key: 'Email:', newKey: 'email' },
+    ];
+
+    // Without a threshold, labels match after normalization only.
+    let newData = gatherer.remapKeys(data, keyRemapList);
+    expect(newData).toEqual({
+      'last_name': {
+        value: 'Doe',
+        confidence: 0.9,
+        label: 'LAST NAME',
+        matchedKey: 'Last Name:',
+        matchScore: 1,
+      },
+      'First Narne:': { value: 'Jane', confidence: 0.9 },
+      'Phone': { value: '555-0100', confidence: 0.9 },
+      'email': { value: 'jane@example.com', confidence: 0.9 },
+      'E-mail': { value: 'doe@example.com', confidence: 0.9 },
+    });
+
+    // With a threshold, labels match the most similar key. The exact match of
+    // "Email:" takes precedence over the similar "E-mail".
+    newData = gatherer.remapKeys(data, keyRemapList, 0.8);
+    expect(newData['first_name']).toEqual({
+      value: 'Jane',
+      confidence: 0.9,
+      label: 'First Narne:',
+      matchedKey: 'First Name:',
+      matchScore: 0.818,
+    });
+    expect(newData['email'].value).toEqual('jane@example.com');
+    expect(newData['E-mail'].value).toEqual('doe@example.com');
+    expect(newData['Phone'].value).toEqual('555-0100');
+
+    // Fields without newKey are kept under the key in keyRemapList.
+    newData = gatherer.remapKeys({ 'ssn:': { value: '123' } }, [
+      { key: 'SSN', type: 'ssn' },
+    ]);
+    expect(Object.keys(newData)).toEqual(['SSN']);
+  });
+
+  it('validates fields with rules and needs review for invalid fields.', async () => {
+    let document = {
+      text: 'Jane 123-45-678 2022-01-05 jane@example.com',
+      entities: [
+        createEntity('name', 'Jane', 0),
+        createEntity('ssn', '123-45-678', 5),
+        createEntity('date', '2022-01-05', 16),
+        createEntity('email', 'jane@example.com', 27),
+      ],
+    };
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+
+    let response = gatherer.getRetrievedResponse(document, 'ID', {}, {
+      keyRemapList: [
+        { key: 'ssn', type: 'ssn' },
+        { key: 'date', type: 'date', min: '2022-02-01' },
+        { key: 'email', type: 'email', pattern: '@example\\.com$' },
+        { key: 'phone', newKey: 'phone_number', required: true },
+        { key: 'name', newKey: 'full_name' },
+      ],
+    });
+    expect(response.status).toEqual(Status.NEEDS_REVIEW);
+    expect(response.statusText).toEqual(
+      'Needs review: phone_number, ssn, date');
+    expect(response.validationErrors).toEqual([{
+      field: 'ssn',
+      rule: 'type',
+      value: '123-45-678',
+      message: 'ssn is not a valid ssn',
+    }, {
+      field: 'date',
+      rule: 'min',
+      value: '2022-01-05',
+      message: 'date is less than 2022-02-01',
+    }, {
+      field: 'phone_number',
+      rule: 'required',
+      value: null,
+      message: 'phone_number is required',
+    }]);
+    expect(response.data.ssn.invalid).toBe(true);
+    expect(response.data.ssn.validationError).toEqual('is not a valid ssn');
+    expect(response.data.email.invalid).toBe(undefined);
+    expect(response.data.full_name.invalid).toBe(undefined);
+
+    response = gatherer.getRetrievedResponse(document, 'ID', {}, {});
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.validationErrors).toEqual([]);
+  });
+
+  it('returns the page number and bounding box of each field.', async () => {
+    let apiHandler = new FakeApiHandler({
+      ':process': {
+        document: {
+          text: 'Jane 2022-01-05',
+          pages: [{
+            pageNumber: 1,
+            dimension: { width: 200, height: 100 },
+          }, {
+            pageNumber: 2,
+            dimension: { width: 200, height: 100 },
+          }],
+          entities: [{
+            ...createEntity('name', 'Jane', 0),
+            pageAnchor: {
+              pageRefs: [{
+                boundingPoly: {
+                  normalizedVertices: [
+                    { x: 0.1, y: 0.2 }, { x: 0.3, y: 0.2 },
+                    { x: 0.3, y: 0.25 }, { x: 0.1, y: 0.25 },
+                  ],
+                },
+              }],
+            },
+          }, {
+            ...createEntity('date', '2022-01-05', 5),
+            pageAnchor: {
+              pageRefs: [{
+                page: '1',
+                boundingPoly: {
+                  vertices: [{ y: 10 }, { x: 50, y: 10 }, { x: 50, y: 20 }, { y: 20 }],
+                },
+              }],
+            },
+          }],
+        },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      documentType: 'ID',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+      url: 'https://drive.google.com/file/d/abc/view',
+    }, gathererOptions);
+
+    expect(response.data.name.pageNumber).toEqual(1);
+    expect(response.data.name.boundingBox).toEqual({
+      left: 0.1, top: 0.2, right: 0.3, bottom: 0.25,
+    });
+    expect(response.data.name.pageUrl).toEqual(
+      'https://drive.google.com/file/d/abc/view#page=1');
+    expect(response.data.date.pageNumber).toEqual(2);
+    expect(response.data.date.boundingBox).toEqual({
+      left: 0, top: 0.1, right: 0.25, bottom: 0.2,
+    });
+    expect(response.data.date.pageUrl).toEqual(
+      'https://drive.google.com/file/d/abc/view#page=2');
+
+    // Form fields have the page number of their page.
+    let data = gatherer.getFormEntities([{
+      fieldName: { textAnchor: { content: 'Name:' } },
+      fieldValue: {
+        textAnchor: { content: 'Jane' },
+        confidence: 0.9,
+        boundingPoly: {
+          normalizedVertices: [{ x: 0.5, y: 0.5 }, { x: 0.75, y: 0.55 }],
+        },
+      },
+      pageNumber: 3,
+    }]);
+    expect(data['Name:']).toEqual({
+      value: 'Jane',
+      confidence: 0.9,
+      error: null,
+      pageNumber: 3,
+      boundingBox: { left: 0.5, top: 0.5, right: 0.75, bottom: 0.55 },
+    });
+  });
+
+  it('returns the text of a document with outputMode text.', async () => {
+    let text = 'Hello world\nPage two\nBonjour\n';
+    let getLayout = (content) => {
+      let startIndex = text.indexOf(content);
+      return {
+        textAnchor: {
+          textSegments: [{
+            startIndex: startIndex.toString(),
+            endIndex: (startIndex + content.length).toString(),
+          }],
+        },
+      };
+    };
+    let apiHandler = new FakeApiHandler({
+      ':process': {
+        document: {
+          text: text,
+          pages: [{
+            pageNumber: 1,
+            layout: getLayout('Hello world\n'),
+            detectedLanguages: [{ languageCode: 'en', confidence: 0.9 }],
+          }, {
+            pageNumber: 2,
+            layout: getLayout('Page two\nBonjour\n'),
+            detectedLanguages: [
+              { languageCode: 'en', confidence: 0.6 },
+              { languageCode: 'fr', confidence: 0.95 },
+            ],
+          }],
+        },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      documentType: 'OCR',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+      url: 'https://drive.google.com/file/d/abc/view',
+    }, { ...gathererOptions, outputMode: 'text' });
+
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.data).toEqual({
+      text: text,
+      pageCount: 2,
+      languages: 'fr, en',
+      detectedLanguages: [
+        { languageCode: 'fr', confidence: 0.95 },
+        { languageCode: 'en', confidence: 0.9 },
+      ],
+      pages: [{
+        pageNumber: 1,
+        text: 'Hello world\n',
+        languages: 'en',
+        pageUrl: 'https://drive.google.com/file/d/abc/view#page=1',
+      }, {
+        pageNumber: 2,
+        text: 'Page two\nBonjour\n',
+        languages: 'en, fr',
+        pageUrl: 'https://drive.google.com/file/d/abc/view#page=2',
+      }],
+    });
+
+    response = await gatherer.run({
+      documentType: 'OCR',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    }, { ...gathererOptions, outputMode: 'html' });
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.error).toEqual('Unsupported outputMode: html');
+  });
+
+  it('splits a bundled document and routes sub-documents by class.', async () => {
+    let apiHandler = new FakeApiHandler({
+      'processors/splitter-1:process': {
+        document: {
+          pages: [{}, {}, {}, {}],
+          entities: [{
+            type: 'driver_license',
+            confidence: 0.95,
+            pageAnchor: { pageRefs: [{ page: '2' }] },
+          }, {
+            type: 'application_form',
+            confidence: 0.9,
+            pageAnchor: { pageRefs: [{}, { page: '1' }] },
+          }, {
+            type: 'other',
+            confidence: 0.5,
+            pageAnchor: { pageRefs: [{ page: '3' }] },
+          }],
+        },
+      },
+      'processors/license-1:process': {
+        document: {
+          text: 'Jane',
+          pages: [{ pageNumber: 1 }],
+          entities: [{
+            ...createEntity('name', 'Jane', 0),
+            pageAnchor: { pageRefs: [{}] },
+          }],
+        },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      documentType: 'Intake Bundle',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+      url: 'https://drive.google.com/file/d/abc/view',
+    }, {
+      ...gathererOptions,
+      processorId: 'splitter-1',
+      outputMode: 'split',
+      classRoutes: {
+        'Application Form': {
+          documentType: 'Application Form',
+          destDatasetId: 'Applications',
+        },
+        'driver_license': {
+          documentType: 'Driver License',
+          destDatasetId: 'Licenses',
+          processorId: 'license-1',
+          keyRemapList: [{ key: 'name', newKey: 'Full Name' }],
+        },
+      },
+    });
+
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.data.length).toEqual(3);
+    expect(response.data[0]).toEqual({
+      documentClass: 'application_form',
+      documentType: 'Application Form',
+      confidence: 0.9,
+      pageStart: 1,
+      pageEnd: 2,
+      pages: '1-2',
+      pageUrl: 'https://drive.google.com/file/d/abc/view#page=1',
+      classified: true,
+      destDatasetId: 'Applications',
+    });
+    expect(response.data[1].documentClass).toEqual('driver_license');
+    expect(response.data[1].pages).toEqual('3');
+    expect(response.data[1].destDatasetId).toEqual('Licenses');
+    expect(response.data[1]['Full Name'].value).toEqual('Jane');
+    expect(response.data[1]['Full Name'].pageNumber).toEqual(3);
+    expect(response.data[1]['Full Name'].pageUrl).toEqual(
+      'https://drive.google.com/file/d/abc/view#page=3');
+    expect(response.data[2].documentClass).toEqual('other');
+    expect(response.data[2].documentType).toEqual(null);
+    expect(response.data[2].classified).toEqual(false);
+    expect(response.data[2].destDatasetId).toEqual(null);
+
+    // Only the pages of the sub-document are processed again.
+    let licenseRequest = apiHandler.requests.find(request => {
+      return request.url.includes('license-1');
+    });
+    expect(licenseRequest.options.payload.processOptions).toEqual({
+      individualPageSelector: { pages: [3] },
+    });
+  });
+
+  it('uses the class with the highest confidence of a classifier.', async () => {
+    let apiHandler = new FakeApiHandler({
+      ':process': {
+        document: {
+          pages: [{}, {}],
+          entities: [
+            { type: 'invoice', confidence: 0.2 },
+            { type: 'paystub', confidence: 0.7 },
+          ],
+        },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      documentType: 'Intake',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    }, {
+      ...gathererOptions,
+      outputMode: 'split',
+      classRoutes: {
+        'Paystub': { documentType: 'Paystub', destDatasetId: 'Paystubs' },
+      },
+    });
+
+    expect(response.data).toEqual([{
+      documentClass: 'paystub',
+      documentType: 'Paystub',
+      confidence: 0.7,
+      pageStart: 1,
+      pageEnd: 2,
+      pages: '1-2',
+      pageUrl: null,
+      classified: true,
+      destDatasetId: 'Paystubs',
+    }]);
+  });
+
+  it('leaves documents below minClassConfidence unclassified.', async () => {
+    let document = {
+      pages: [{}],
+      entities: [{ type: 'paystub', confidence: 0.4 }],
+    };
+    let apiHandler = new FakeApiHandler({
+      'processors/classifier-1:process': () => ({ document: document }),
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+    let options = {
+      ...gathererOptions,
+      processorId: 'classifier-1',
+      outputMode: 'split',
+      minClassConfidence: '0.5',
+      classRoutes: {
+        'Paystub': {
+          documentType: 'Paystub',
+          destDatasetId: 'Paystubs',
+          processorId: 'paystub-1',
+        },
+      },
+    };
+    let source = {
+      documentType: 'Auto-detect',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    };
+
+    let response = await gatherer.run(source, options);
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.data.length).toEqual(1);
+    expect(response.data[0].documentClass).toEqual('paystub');
+    expect(response.data[0].documentType).toEqual(null);
+    expect(response.data[0].classified).toEqual(false);
+    expect(response.data[0].destDatasetId).toEqual(null);
+    expect(apiHandler.requests.length).toEqual(1);
+
+    // A document without any class is unclassified as well.
+    document.entities = [];
+    response = await gatherer.run(source, options);
+    expect(response.data.length).toEqual(1);
+    expect(response.data[0].documentClass).toEqual(null);
+    expect(response.data[0].classified).toEqual(false);
+  });
+
+  it('processes a classified document with the options of its route.', async () => {
+    let apiHandler = new FakeApiHandler({
+      'processors/classifier-1:process': {
+        document: {
+          pages: [{}],
+          entities: [{ type: 'paystub', confidence: 0.9 }],
+        },
+      },
+      'processors/paystub-1:process': {
+        document: {
+          text: '1000',
+          pages: [{ pageNumber: 1 }],
+          entities: [createEntity('net_pay', '1000', 0)],
+        },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      documentType: 'Auto-detect',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    }, {
+      ...gathererOptions,
+      processorId: 'classifier-1',
+      outputMode: 'split',
+      minClassConfidence: 0.5,
+      classRoutes: {
+        'Paystub': {
+          documentType: 'Paystub',
+          destDatasetId: 'Paystubs',
+          processorId: 'paystub-1',
+          location: 'eu',
+          apiVersion: '',
+        },
+      },
+    });
+
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.data[0].destDatasetId).toEqual('Paystubs');
+    expect(response.data[0].net_pay.value).toEqual('1000');
+    expect(apiHandler.requests[0].url).toEqual('https://us-documentai.' +
+      'googleapis.com/v1/projects/project-1/locations/us/processors/' +
+      'classifier-1:process');
+    expect(apiHandler.requests[1].url).toEqual('https://eu-documentai.' +
+      'googleapis.com/v1/projects/project-1/locations/eu/processors/' +
+      'paystub-1:process');
+  });
+
+  it('processes the whole document of a classifier without pages.', async () => {
+    let apiHandler = new FakeApiHandler({
+      'processors/classifier-1:process': {
+        document: {
+          entities: [{ type: 'paystub', confidence: 0.9 }],
+        },
+      },
+      'processors/paystub-1:process': {
+        document: {
+          text: '1000',
+          pages: [{ pageNumber: 1 }, { pageNumber: 2 }],
+          entities: [{
+            ...createEntity('net_pay', '1000', 0),
+            pageAnchor: { pageRefs: [{ page: '1' }] },
+          }],
+        },
+      },
+    });
+    let gatherer = new DocaiGatherer({}, {}, apiHandler);
+
+    let response = await gatherer.run({
+      documentType: 'Auto-detect',
+      contentBase64: Buffer.from('%PDF-1.4').toString('base64'),
+    }, {
+      ...gathererOptions,
+      processorId: 'classifier-1',
+      outputMode: 'split',
+      classRoutes: {
+        'Paystub': {
+          documentType: 'Paystub',
+          destDatasetId: 'Paystubs',
+          processorId: 'paystub-1',
+        },
+      },
+    });
+
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.data[0].pageStart).toEqual(1);
+    expect(response.data[0].pageEnd).toEqual(null);
+    expect(response.data[0].pages).toEqual(null);
+    expect(response.data[0].net_pay.value).toEqual('1000');
+    expect(response.data[0].net_pay.pageNumber).toEqual(2);
+
+    // All pages are sent to the processor of the document type.
+    expect(apiHandler.requests[1].url).toContain('paystub-1:process');
+    expect(apiHandler.requests[1].options.payload.processOptions).toBe(undefined);
+  });
+
+  it('keeps nested entity properties and collects repeated entities.', async () => {
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+    let lineItem = (description, amount) => ({
+      type: 'line_item',
+      mentionText: `${description} ${amount}`,
+      confidence: 0.8,
+      properties: [{
+        type: 'line_item/description',
+        mentionText: description,
+        confidence: 0.9,
+      }, {
+        type: 'line_item/amount',
+        mentionText: amount,
+        confidence: 0.7,
+      }],
+    });
+
+    let data = gatherer.getSpecialParserEntities([
+      { type: 'invoice_id', mentionText: 'INV-1', confidence: 0.9 },
+      lineItem('Apple', '2.00'),
+      lineItem('Pear', '3.00'),
+      { type: 'supplier_phone', mentionText: '555-0100', confidence: 0.9 },
+      { type: 'supplier_phone', mentionText: '555-0199', confidence: 0.6 },
+    ]);
+
+    expect(data.invoice_id).toEqual({
+      value: 'INV-1',
+      confidence: 0.9,
+      error: null,
+    });
+    expect(data.line_item.length).toEqual(2);
+    expect(data.line_item[0].value).toEqual('Apple 2.00');
+    expect(data.line_item[0].amount).toEqual({
+      value: '2.00',
+      confidence: 0.7,
+      error: null,
+    });
+    expect(data.line_item[1].description.value).toEqual('Pear');
+    expect(data.supplier_phone.map(phone => phone.value)).toEqual([
+      '555-0100', '555-0199']);
+
+    let fields = gatherer.getOutputData({ entities: [lineItem('Apple', '2.00')] },
+      'Invoice', { fieldKeyOnly: true });
+    expect(fields).toEqual([{
+      documentType: 'Invoice',
+      key: 'line_item',
+      newKey: 'line_item',
+      sampleValue: 'Apple 2.00',
+    }]);
+  });
+
+  it('returns typed values from normalizedValue.', async () => {
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+
+    let data = gatherer.getSpecialParserEntities([{
+      type: 'invoice_date',
+      mentionText: 'Jan 5, 2022',
+      normalizedValue: {
+        text: '2022-01-05',
+        dateValue: { year: 2022, month: 1, day: 5 },
+      },
+    }, {
+      type: 'total_amount',
+      mentionText: '$1,234.50',
+      normalizedValue: {
+        text: '1234.5',
+        moneyValue: { currencyCode: 'USD', units: '1234', nanos: 500000000 },
+      },
+    }, {
+      type: 'supplier_address',
+      mentionText: '1600 Amphitheatre Pkwy\nMountain View',
+      normalizedValue: {
+        text: '1600 Amphitheatre Pkwy, Mountain View, CA',
+        addressValue: {
+          regionCode: 'US',
+          administrativeArea: 'CA',
+          locality: 'Mountain View',
+          addressLines: ['1600 Amphitheatre Pkwy'],
+        },
+      },
+    }, {
+      type: 'is_paid',
+      mentionText: 'X',
+      normalizedValue: { booleanValue: false },
+    }, {
+      type: 'quantity',
+      mentionText: 'three',
+      normalizedValue: { text: '3', integerValue: 3 },
+    }, {
+      type: 'name',
+      mentionText: 'Jane',
+    }]);
+
+    expect(data.invoice_date.value).toEqual('Jan 5, 2022');
+    expect(data.invoice_date.normalizedValue).toEqual({
+      type: 'date',
+      value: '2022-01-05',
+      text: '2022-01-05',
+    });
+    expect(data.total_amount.normalizedValue).toEqual({
+      type: 'money',
+      value: 1234.5,
+      currencyCode: 'USD',
+      text: '1234.5',
+    });
+    expect(data.supplier_address.normalizedValue.type).toEqual('address');
+    expect(data.supplier_address.normalizedValue.address.locality)
+      .toEqual('Mountain View');
+    expect(data.is_paid.normalizedValue.value).toBe(false);
+    expect(data.quantity.normalizedValue.value).toEqual(3);
+    expect(data.name.normalizedValue).toBe(undefined);
+  });
+
+  it('merges document shards with text and page offsets.', async () => {
+    let gatherer = new DocaiGatherer({}, {}, new ApiHandler());
+    let lastName = createEntity('lastName', 'Doe', 0);
+    lastName.pageAnchor = { pageRefs: [{}, { page: '1' }] };
+    let document = gatherer.mergeDocumentShards([{
+      shardInfo: { shardIndex: '1', textOffset: '5' },
+      text: 'Doe',
+      pages: [{ pageNumber: 1 }, { pageNumber: 2 }],
+      entities: [lastName],
+    }, {
+      shardInfo: { shardIndex: '0', textOffset: '0' },
+      text: 'Jane ',
+      pages: [{ pageNumber: 1 }, { pageNumber: 2 }],
+      entities: [createEntity('name', 'Jane', 0)],
+    }]);
+
+    expect(document.text).toEqual('Jane Doe');
+    expect(document.pages.length).toEqual(4);
+    expect(document.entities[1].textAnchor.textSegments[0]).toEqual({
+      startIndex: '5',
+      endIndex: '8',
+    });
+    expect(document.entities[1].pageAnchor.pageRefs).toEqual([
+      { page: '2' }, { page: '3' },
+    ]);
+  });
+});
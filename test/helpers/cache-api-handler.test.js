@@ -0,0 +1,242 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DataGathererFramework = require('../../src/core');
+const {
+  CachingApiHandler, MemoryCacheStorage,
+} = require('../../src/helpers/cache-api-handler');
+const {
+  DirectoryCacheStorage, NodeApiHandler,
+} = require('../../src/helpers/node-helper');
+const request = require('./request-options');
+
+/**
+ * An ApiHandler that counts requests and responds with the request number.
+ */
+class CountingApiHandler extends NodeApiHandler {
+  constructor(statusCode) {
+    super();
+    this.statusCode = statusCode || 200;
+    this.count = 0;
+  }
+  async get(url, options) {
+    this.count++;
+    return { statusCode: this.statusCode, body: `get ${this.count}` };
+  }
+  async post(url, options) {
+    this.count++;
+    return { statusCode: this.statusCode, body: `post ${this.count}` };
+  }
+}
+
+describe('CachingApiHandler', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns cached responses of the same URL and payload.', async () => {
+    let apiHandler = new CountingApiHandler();
+    let cachingApiHandler = new CachingApiHandler(apiHandler);
+
+    let response = await cachingApiHandler.post('https://docai/process', request('a'));
+    expect(response).toEqual({ statusCode: 200, body: 'post 1' });
+
+    // A refreshed token still hits the cache.
+    response = await cachingApiHandler.post('https://docai/process',
+      request('a', 'new-token'));
+    expect(response).toEqual({ statusCode: 200, body: 'post 1', cached: true });
+    expect(apiHandler.count).toEqual(1);
+
+    response = await cachingApiHandler.post('https://docai/process', request('b'));
+    expect(response.body).toEqual('post 2');
+    response = await cachingApiHandler.post('https://docai/other', request('a'));
+    expect(response.body).toEqual('post 3');
+  });
+
+  it('only caches successful responses of the configured methods.', async () => {
+    let apiHandler = new CountingApiHandler(503);
+    let cachingApiHandler = new CachingApiHandler(apiHandler);
+
+    await cachingApiHandler.post('https://docai/process', request('a'));
+    await cachingApiHandler.post('https://docai/process', request('a'));
+    expect(apiHandler.count).toEqual(2);
+
+    apiHandler.statusCode = 200;
+    await cachingApiHandler.get('https://docai/operations/1');
+    let response = await cachingApiHandler.get('https://docai/operations/1');
+    expect(response.cached).toBe(undefined);
+    expect(apiHandler.count).toEqual(4);
+  });
+
+  it('does not cache requests to non-idempotent endpoints.', async () => {
+    let apiHandler = new CountingApiHandler();
+    let cachingApiHandler = new CachingApiHandler(apiHandler);
+
+    await cachingApiHandler.post('https://docai/processor:batchProcess', request('a'));
+    let response = await cachingApiHandler.post(
+      'https://docai/processor:batchProcess', request('a'));
+    expect(response).toEqual({ statusCode: 200, body: 'post 2' });
+
+    await cachingApiHandler.post('https://docai/operations/1:cancel');
+    await cachingApiHandler.post('https://docai/operations/1:cancel');
+    expect(apiHandler.count).toEqual(4);
+  });
+
+  it('uses the maxSize of the storage by default.', () => {
+    let apiHandler = new CountingApiHandler();
+    expect(new CachingApiHandler(apiHandler).config.maxSize)
+      .toEqual(50 * 1024 * 1024);
+
+    let storage = new MemoryCacheStorage();
+    storage.maxSize = 1000;
+    expect(new CachingApiHandler(apiHandler, storage).config.maxSize)
+      .toEqual(1000);
+    expect(new CachingApiHandler(apiHandler, storage, {
+      maxSize: 2000,
+    }).config.maxSize).toEqual(2000);
+    expect(new CachingApiHandler(apiHandler, new DirectoryCacheStorage('.cache'))
+      .config.maxSize).toEqual(500 * 1024 * 1024);
+  });
+
+  it('expires responses after ttl.', async () => {
+    let apiHandler = new CountingApiHandler();
+    let storage = new MemoryCacheStorage();
+    let cachingApiHandler = new CachingApiHandler(apiHandler, storage, {
+      ttl: 60,
+    });
+
+    await cachingApiHandler.post('https://docai/process', request('a'));
+    now += 59 * 1000;
+    let response = await cachingApiHandler.post('https://docai/process', request('a'));
+    expect(response.cached).toBe(true);
+
+    now += 1000;
+    response = await cachingApiHandler.post('https://docai/process', request('a'));
+    expect(response.cached).toBe(undefined);
+    expect(apiHandler.count).toEqual(2);
+  });
+
+  it('evicts the least recently used responses beyond maxSize.', async () => {
+    let apiHandler = new CountingApiHandler();
+    let storage = new MemoryCacheStorage();
+    // Each cached response is 34 characters.
+    let cachingApiHandler = new CachingApiHandler(apiHandler, storage, {
+      maxSize: 80,
+    });
+
+    await cachingApiHandler.post('https://docai/process', request('a'));
+    now++;
+    await cachingApiHandler.post('https://docai/process', request('b'));
+    now++;
+    await cachingApiHandler.post('https://docai/process', request('a'));
+    now++;
+    await cachingApiHandler.post('https://docai/process', request('c'));
+    expect(Object.keys(cachingApiHandler.getIndex()).length).toEqual(2);
+
+    let response = await cachingApiHandler.post('https://docai/process', request('a'));
+    expect(response.cached).toBe(true);
+    response = await cachingApiHandler.post('https://docai/process', request('b'));
+    expect(response.cached).toBe(undefined);
+    expect(apiHandler.count).toEqual(4);
+  });
+
+  it('removes partially stored responses when the storage fails.', async () => {
+    let storage = new MemoryCacheStorage();
+    let setValue = storage.set.bind(storage);
+    storage.set = (key, value, ttl) => {
+      if (key === 'index') return setValue(key, value, ttl);
+      setValue(`${key}.0`, value.substring(0, 10), ttl);
+      throw new Error('Quota exceeded');
+    };
+    storage.remove = jest.fn(storage.remove.bind(storage));
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    let cachingApiHandler = new CachingApiHandler(new CountingApiHandler(),
+      storage);
+
+    await cachingApiHandler.post('https://docai/process', request('a'));
+    let key = cachingApiHandler.getCacheKey('POST', 'https://docai/process',
+      request('a'));
+    expect(storage.remove).toHaveBeenCalledWith(key);
+    expect(cachingApiHandler.getIndex()).toEqual({});
+  });
+
+  it('sends requests and refreshes the cache with bypass.', async () => {
+    let apiHandler = new CountingApiHandler();
+    let cachingApiHandler = new CachingApiHandler(apiHandler);
+
+    await cachingApiHandler.post('https://docai/process', request('a'));
+    cachingApiHandler.bypass = true;
+    let response = await cachingApiHandler.post('https://docai/process', request('a'));
+    expect(response).toEqual({ statusCode: 200, body: 'post 2' });
+
+    cachingApiHandler.bypass = false;
+    response = await cachingApiHandler.post('https://docai/process', request('a'));
+    expect(response).toEqual({ statusCode: 200, body: 'post 2', cached: true });
+  });
+
+  it('keeps responses in a directory across instances.', async () => {
+    let tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'docai-cache-'));
+    try {
+      let apiHandler = new CountingApiHandler();
+      await new CachingApiHandler(apiHandler, new DirectoryCacheStorage(tmpDir))
+        .post('https://docai/process', request('a'));
+
+      let cachingApiHandler = new CachingApiHandler(apiHandler,
+        new DirectoryCacheStorage(tmpDir));
+      let response = await cachingApiHandler.post('https://docai/process', request('a'));
+      expect(response.cached).toBe(true);
+      expect(apiHandler.count).toEqual(1);
+
+      cachingApiHandler.clear();
+      expect(fse.readdirSync(tmpDir)).toEqual(['index.json']);
+    } finally {
+      fse.removeSync(tmpDir);
+    }
+  });
+
+  it('bypasses the cache of core for a run with bypassCache.', async () => {
+    let core = new DataGathererFramework({
+      helper: 'fake',
+      connector: 'fake',
+      quiet: true,
+      cache: { storage: 'memory', ttl: 60 },
+    });
+    expect(core.apiHandler instanceof CachingApiHandler).toBe(true);
+    expect(core.apiHandler.config.ttl).toEqual(60);
+
+    let bypassDuringRun;
+    core.execute = async () => {
+      bypassDuringRun = core.apiHandler.bypass;
+      return [];
+    };
+    await core.run({ srcData: {}, destDatasetId: 'Results', bypassCache: true });
+    expect(bypassDuringRun).toBe(true);
+    expect(core.apiHandler.bypass).toBe(false);
+  });
+});
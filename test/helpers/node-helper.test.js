@@ -0,0 +1,57 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+jest.mock('request-promise');
+
+const request = require('request-promise');
+const { NodeApiHandler } = require('../../src/helpers/node-helper');
+
+describe('NodeApiHandler', () => {
+  it('posts JSON payloads without changing the given headers.', async () => {
+    request.mockResolvedValue({ statusCode: 200, headers: {}, body: '{}' });
+    let headers = { 'Authorization': 'Bearer token' };
+    let apiHandler = new NodeApiHandler();
+
+    let response = await apiHandler.post('https://docai/process', {
+      headers: headers,
+      payload: { a: 1 },
+    });
+    expect(response).toEqual({ statusCode: 200, headers: {}, body: '{}' });
+    expect(request.mock.calls[0][0].headers).toEqual({
+      'Authorization': 'Bearer token',
+      'Content-Type': 'application/json',
+    });
+    expect(headers).toEqual({ 'Authorization': 'Bearer token' });
+  });
+
+  it('returns the SHA-256 digest of base64 content.', () => {
+    let apiHandler = new NodeApiHandler();
+    expect(apiHandler.getContentHash('YWJj')).toEqual(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(apiHandler.getContentHash('')).toEqual(
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  it('returns the SHA-256 digest of UTF-8 text.', () => {
+    let apiHandler = new NodeApiHandler();
+    expect(apiHandler.getTextHash('abc')).toEqual(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(apiHandler.getTextHash('café')).toEqual(
+      '850f7dc43910ff890f8879c0ed26fe697c93a067ad93a7d50f466a7028a9bf4e');
+  });
+});
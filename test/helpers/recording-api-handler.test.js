@@ -0,0 +1,169 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { NodeApiHandler } = require('../../src/helpers/node-helper');
+const DataGathererFramework = require('../../src/core');
+const {
+  RecordingApiHandler, ReplayApiHandler, scrubHeaders,
+} = require('../../src/helpers/recording-api-handler');
+const request = require('./request-options');
+
+/**
+ * An ApiHandler that responds with the given responses in order.
+ */
+class SequenceApiHandler extends NodeApiHandler {
+  constructor(responses) {
+    super();
+    this.responses = responses;
+    this.count = 0;
+  }
+  async get(url, options) {
+    return this.responses[this.count++];
+  }
+  async post(url, options) {
+    return this.responses[this.count++];
+  }
+  async sleep(ms) { }
+}
+
+describe('RecordingApiHandler and ReplayApiHandler', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'docai-fixtures-'));
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('scrubs credentials in headers.', () => {
+    expect(scrubHeaders({
+      'Authorization': 'Bearer token',
+      'x-goog-api-key': 'key',
+      'Content-Type': 'application/json',
+    })).toEqual({
+      'Authorization': '<scrubbed>',
+      'x-goog-api-key': '<scrubbed>',
+      'Content-Type': 'application/json',
+    });
+    expect(scrubHeaders(null)).toEqual({});
+  });
+
+  it('records requests without credentials and replays them.', async () => {
+    let apiHandler = new SequenceApiHandler([{
+      statusCode: 200,
+      headers: { 'set-cookie': 'session' },
+      body: JSON.stringify({ document: { text: 'Hello' } }),
+    }]);
+    let recordingApiHandler = new RecordingApiHandler(apiHandler, tmpDir);
+    let response = await recordingApiHandler.post('https://docai/process',
+      request('a'));
+    expect(response.statusCode).toEqual(200);
+
+    let files = fse.readdirSync(tmpDir);
+    expect(files.length).toEqual(1);
+    expect(files[0]).toMatch(/^post-[0-9a-f]{16}\.json$/);
+
+    let content = fse.readFileSync(path.join(tmpDir, files[0])).toString();
+    expect(content).not.toContain('Bearer token');
+    expect(content).not.toContain('session');
+    let fixture = JSON.parse(content);
+    expect(fixture.request).toEqual({
+      method: 'POST',
+      url: 'https://docai/process',
+      headers: { 'Authorization': '<scrubbed>' },
+    });
+    expect(fixture.responses).toEqual([{
+      statusCode: 200,
+      headers: { 'set-cookie': '<scrubbed>' },
+      json: { document: { text: 'Hello' } },
+    }]);
+
+    // Replayed with a different token.
+    let replayApiHandler = new ReplayApiHandler(tmpDir);
+    response = await replayApiHandler.post('https://docai/process',
+      request('a', 'other-token'));
+    expect(response.statusCode).toEqual(200);
+    expect(JSON.parse(response.body)).toEqual({ document: { text: 'Hello' } });
+  });
+
+  it('replays responses of the same request in order.', async () => {
+    let apiHandler = new SequenceApiHandler([
+      { statusCode: 503, body: 'Unavailable' },
+      { statusCode: 200, body: '{"done":true}' },
+    ]);
+    let recordingApiHandler = new RecordingApiHandler(apiHandler, tmpDir);
+    await recordingApiHandler.post('https://docai/process', request('a'));
+    await recordingApiHandler.post('https://docai/process', request('a'));
+
+    let replayApiHandler = new ReplayApiHandler(tmpDir);
+    let response = await replayApiHandler.post('https://docai/process',
+      request('a'));
+    expect(response.statusCode).toEqual(503);
+    expect(response.body).toEqual('Unavailable');
+    expect(response.error).toBeTruthy();
+
+    response = await replayApiHandler.post('https://docai/process', request('a'));
+    expect(response).toEqual({ statusCode: 200, headers: {}, body: '{"done":true}' });
+
+    // The last response is repeated.
+    response = await replayApiHandler.post('https://docai/process', request('a'));
+    expect(response.statusCode).toEqual(200);
+
+    // Recording again overrides the fixture.
+    apiHandler = new SequenceApiHandler([{ statusCode: 200, body: 'new' }]);
+    await new RecordingApiHandler(apiHandler, tmpDir).post(
+      'https://docai/process', request('a'));
+    response = await new ReplayApiHandler(tmpDir).post('https://docai/process',
+      request('a'));
+    expect(response.body).toEqual('new');
+  });
+
+  it('returns 404 for requests that are not recorded.', async () => {
+    let replayApiHandler = new ReplayApiHandler(tmpDir);
+    let response = await replayApiHandler.post('https://docai/process',
+      request('b'));
+    expect(response.statusCode).toEqual(404);
+    expect(response.error.message).toEqual(
+      'No recorded response for POST https://docai/process');
+  });
+
+  it('is created by core with the fixtures config.', () => {
+    let core = new DataGathererFramework({
+      helper: 'fake',
+      connector: 'fake',
+      quiet: true,
+      fixtures: { mode: 'replay', dir: tmpDir },
+    });
+    expect(core.apiHandler instanceof ReplayApiHandler).toBe(true);
+
+    expect(() => {
+      new DataGathererFramework({
+        helper: 'fake',
+        connector: 'fake',
+        quiet: true,
+        fixtures: { mode: 'rewind', dir: tmpDir },
+      });
+    }).toThrow('Fixtures mode rewind is not supported.');
+  });
+});
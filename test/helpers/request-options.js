@@ -0,0 +1,33 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Return request options of a DocAI :process request for the tests of
+ * ApiHandlers, with the content of a document and an OAuth token.
+ * @param  {string} content
+ * @param  {string} token Defaults to "token".
+ * @return {object} Request options with payload and headers.
+ */
+function request(content, token) {
+  return {
+    payload: { rawDocument: { content: content } },
+    headers: { 'Authorization': `Bearer ${token || 'token'}` },
+  };
+}
+
+module.exports = request;
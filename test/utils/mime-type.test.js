@@ -0,0 +1,53 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { detectMimeType, getMimeTypeFromFileName } =
+  require('../../src/utils/mime-type');
+
+let toBase64 = function (bytes) {
+  return Buffer.from(bytes).toString('base64');
+}
+
+describe('mime-type test', () => {
+  it('detects MIME types from magic bytes.', async () => {
+    expect(detectMimeType(toBase64('%PDF-1.4\n'))).toEqual('application/pdf');
+    expect(detectMimeType(toBase64([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00])))
+      .toEqual('image/png');
+    expect(detectMimeType(toBase64([0xFF, 0xD8, 0xFF, 0xE0, 0x00]))).toEqual('image/jpeg');
+    expect(detectMimeType(toBase64('GIF89a'))).toEqual('image/gif');
+    expect(detectMimeType(toBase64([0x49, 0x49, 0x2A, 0x00, 0x08]))).toEqual('image/tiff');
+    expect(detectMimeType(toBase64([0x4D, 0x4D, 0x00, 0x2A, 0x00]))).toEqual('image/tiff');
+    expect(detectMimeType(toBase64('BM6\u0000'))).toEqual('image/bmp');
+    expect(detectMimeType(toBase64('RIFF$\u0000\u0000\u0000WEBPVP8 ')))
+      .toEqual('image/webp');
+  });
+
+  it('returns null for unsupported or empty content.', async () => {
+    expect(detectMimeType(toBase64('plain text'))).toBe(null);
+    expect(detectMimeType(toBase64('RIFF$\u0000\u0000\u0000WAVE'))).toBe(null);
+    expect(detectMimeType('')).toBe(null);
+    expect(detectMimeType(null)).toBe(null);
+  });
+
+  it('returns MIME types from file extensions.', async () => {
+    expect(getMimeTypeFromFileName('scan.TIF')).toEqual('image/tiff');
+    expect(getMimeTypeFromFileName('gs://bucket/dir/form.pdf')).toEqual('application/pdf');
+    expect(getMimeTypeFromFileName('notes.txt')).toBe(null);
+    expect(getMimeTypeFromFileName('README')).toBe(null);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { getDelay, getRetryAfter, retry } = require('../../src/utils/retry');
+
+let createRequestFunc = function (responses) {
+  let count = 0;
+  return jest.fn(() => responses[Math.min(count++, responses.length - 1)]);
+}
+
+describe('retry test', () => {
+  it('returns the response without retries when it succeeds.', async () => {
+    let requestFunc = createRequestFunc([{ statusCode: 200, body: 'ok' }]);
+    let sleep = jest.fn();
+
+    let output = await retry(requestFunc, {}, sleep);
+    expect(output.response.body).toEqual('ok');
+    expect(output.attempts).toEqual(1);
+    expect(output.classification).toEqual('success');
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('retries transient failures until it succeeds.', async () => {
+    let requestFunc = createRequestFunc([
+      { statusCode: 429 },
+      { statusCode: 503 },
+      { statusCode: 200, body: 'ok' },
+    ]);
+    let sleep = jest.fn();
+
+    let output = await retry(requestFunc, { maxAttempts: 5 }, sleep);
+    expect(output.response.body).toEqual('ok');
+    expect(output.attempts).toEqual(3);
+    expect(output.classification).toEqual('success');
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops retrying after maxAttempts.', async () => {
+    let requestFunc = createRequestFunc([{ statusCode: 503 }]);
+    let sleep = jest.fn();
+
+    let output = await retry(requestFunc, { maxAttempts: 4 }, sleep);
+    expect(output.response.statusCode).toEqual(503);
+    expect(output.attempts).toEqual(4);
+    expect(output.classification).toEqual('transient');
+    expect(sleep).toHaveBeenCalledTimes(3);
+  });
+
+  it('uses default policy values for unset values.', async () => {
+    let requestFunc = createRequestFunc([{ statusCode: 503 }]);
+    let sleep = jest.fn();
+
+    let output = await retry(requestFunc, { maxAttempts: undefined }, sleep);
+    expect(output.attempts).toEqual(3);
+    expect(output.classification).toEqual('transient');
+  });
+
+  it('does not retry permanent failures.', async () => {
+    let requestFunc = createRequestFunc([{ statusCode: 400 }]);
+    let sleep = jest.fn();
+
+    let output = await retry(requestFunc, { maxAttempts: 4 }, sleep);
+    expect(output.attempts).toEqual(1);
+    expect(output.classification).toEqual('permanent');
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('backs off exponentially with jitter up to maxDelay.', async () => {
+    let policy = {
+      initialDelay: 1000,
+      maxDelay: 5000,
+      multiplier: 2,
+      jitter: 0.2,
+    };
+    let delay = getDelay(1, policy);
+    expect(delay).toBeGreaterThanOrEqual(800);
+    expect(delay).toBeLessThanOrEqual(1200);
+
+    delay = getDelay(2, policy);
+    expect(delay).toBeGreaterThanOrEqual(1600);
+    expect(delay).toBeLessThanOrEqual(2400);
+
+    expect(getDelay(5, policy)).toEqual(5000);
+  });
+
+  it('honors Retry-After in seconds or as an HTTP date.', async () => {
+    expect(getRetryAfter({ headers: { 'retry-after': '3' } })).toEqual(3000);
+    expect(getRetryAfter({ headers: { 'Retry-After': '7' } })).toEqual(7000);
+    expect(getRetryAfter({ headers: {} })).toBe(null);
+
+    let date = new Date(Date.now() + 10000).toUTCString();
+    let delay = getRetryAfter({ headers: { 'Retry-After': date } });
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+
+    let policy = { initialDelay: 1000, maxDelay: 5000, multiplier: 2, jitter: 0 };
+    let response = { statusCode: 429, headers: { 'Retry-After': '2' } };
+    expect(getDelay(1, policy, response)).toEqual(2000);
+  });
+});
@@ -158,4 +158,37 @@ describe('setObject test', () => {
       }
     });
   });
+
+  it('sets quoted properties to the object.', async () => {
+    let newObj = {};
+    setObject(newObj, 'docai.data["First Name"].value', 'Adam');
+    setObject(newObj, "docai.data['Social Security Number:'].value", '999-99-9999');
+    setObject(newObj, 'docai.data["a.b"]', 'AB');
+    expect(newObj).toEqual({
+      docai: {
+        data: {
+          'First Name': {
+            value: 'Adam',
+          },
+          'Social Security Number:': {
+            value: '999-99-9999',
+          },
+          'a.b': 'AB',
+        }
+      }
+    });
+  });
+
+  it('appends values to an array in the object.', async () => {
+    let newObj = {};
+    setObject(newObj, 'a.b[].c', 'C1');
+    setObject(newObj, 'a.b[].c', 'C2');
+    setObject(newObj, 'a.d[]', 'D');
+    expect(newObj).toEqual({
+      a: {
+        b: [{ c: 'C1' }, { c: 'C2' }],
+        d: ['D'],
+      }
+    });
+  });
 });
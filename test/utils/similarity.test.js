@@ -0,0 +1,43 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { getEditDistance, getSimilarity, normalizeKey } =
+  require('../../src/utils/similarity');
+
+describe('similarity test', () => {
+  it('normalizes case, punctuation and whitespace of labels.', () => {
+    expect(normalizeKey('Last Name:')).toEqual('last name');
+    expect(normalizeKey('  LAST   NAME ')).toEqual('last name');
+    expect(normalizeKey('Date of Birth (MM/DD/YYYY)')).toEqual('date of birth mm dd yyyy');
+    expect(normalizeKey('Prénom:')).toEqual('prénom');
+    expect(normalizeKey(null)).toEqual('');
+  });
+
+  it('returns the edit distance of two strings.', () => {
+    expect(getEditDistance('kitten', 'sitting')).toEqual(3);
+    expect(getEditDistance('', 'abc')).toEqual(3);
+    expect(getEditDistance('abc', 'abc')).toEqual(0);
+  });
+
+  it('returns the similarity of two labels.', () => {
+    expect(getSimilarity('Last Name:', 'LAST NAME')).toEqual(1);
+    expect(getSimilarity('Last Narne', 'Last Name')).toEqual(0.8);
+    expect(getSimilarity('Address', 'Phone')).toBeLessThan(0.5);
+    expect(getSimilarity('', ':')).toEqual(1);
+  });
+});
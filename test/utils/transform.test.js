@@ -0,0 +1,81 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { formatDate, parseTransforms, transform } = require('../../src/utils/transform');
+
+describe('transform test', () => {
+  it('parses a chain of transforms.', () => {
+    expect(parseTransforms('trim | upper |default:N/A')).toEqual([
+      { name: 'trim', arg: null },
+      { name: 'upper', arg: null },
+      { name: 'default', arg: 'N/A' },
+    ]);
+    expect(parseTransforms('replace:/a\\|b/c/g | Lower')).toEqual([
+      { name: 'replace', arg: '/a|b/c/g' },
+      { name: 'lower', arg: null },
+    ]);
+    expect(parseTransforms(['trim', 'date:MM/DD/YYYY'])).toEqual([
+      { name: 'trim', arg: null },
+      { name: 'date', arg: 'MM/DD/YYYY' },
+    ]);
+    expect(parseTransforms('')).toEqual([]);
+  });
+
+  it('trims and changes case.', () => {
+    expect(transform('  Jane  ', 'trim')).toEqual('Jane');
+    expect(transform('jane doe', 'upper')).toEqual('JANE DOE');
+    expect(transform('JANE DOE', 'lower')).toEqual('jane doe');
+    expect(transform('mary-jane DOE', 'title')).toEqual('Mary-Jane Doe');
+    expect(transform(true, 'trim | upper')).toBe(true);
+  });
+
+  it('extracts and replaces with regular expressions.', () => {
+    expect(transform('Invoice #: INV-0042', 'extract:INV-(\\d+)')).toEqual('0042');
+    expect(transform('ZIP 94043', 'extract:\\d{5}')).toEqual('94043');
+    expect(transform('N/A', 'extract:\\d+')).toBe(null);
+    expect(transform('123 45 6789', 'replace:/ /-/g')).toEqual('123-45-6789');
+    expect(transform('ACME Corp.', 'replace:/\\.$//')).toEqual('ACME Corp');
+    expect(transform('a/b', 'replace:#/#-#')).toEqual('a-b');
+    expect(() => transform('a', 'replace:/a')).toThrow('Invalid replace expression');
+  });
+
+  it('parses and formats dates and numbers.', () => {
+    expect(transform('Jan 5, 2022', 'date')).toEqual('2022-01-05');
+    expect(transform('2022-01-05', 'date:MM/DD/YYYY')).toEqual('01/05/2022');
+    expect(transform('1/5/2022', 'date:D.M.YY')).toEqual('5.1.22');
+    expect(transform('sometime', 'date')).toEqual('sometime');
+    expect(transform('$1,234.50', 'number')).toEqual(1234.5);
+    expect(transform('(12.00)', 'number')).toEqual(-12);
+    expect(transform('twelve', 'number')).toEqual('twelve');
+    expect(formatDate(new Date(2022, 11, 31).getTime(), 'DD/MM/YYYY'))
+      .toEqual('31/12/2022');
+  });
+
+  it('maps checkboxes to labels and fills default values.', () => {
+    expect(transform(true, 'checkbox')).toEqual('Yes');
+    expect(transform(false, 'checkbox')).toEqual('No');
+    expect(transform(false, 'checkbox:Checked,Unchecked')).toEqual('Unchecked');
+    expect(transform('', 'default:N/A')).toEqual('N/A');
+    expect(transform(null, 'extract:\\d+ | default:0 | number')).toEqual(0);
+    expect(transform('Jane', 'default:N/A')).toEqual('Jane');
+  });
+
+  it('throws an error for unsupported transforms.', () => {
+    expect(() => transform('a', 'reverse')).toThrow('Unsupported transform: reverse');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Copyright 2022 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { parseDate, parseNumber, validate } = require('../../src/utils/validate');
+
+describe('validate test', () => {
+  it('returns no failures for valid values.', () => {
+    expect(validate('Jane', {})).toEqual([]);
+    expect(validate('2022-01-31', { type: 'date' })).toEqual([]);
+    expect(validate('1/31/2022', { type: 'Date' })).toEqual([]);
+    expect(validate('Jan 31, 2022', { type: 'date' })).toEqual([]);
+    expect(validate('$1,234.50', { type: 'number', min: 0, max: '5000' })).toEqual([]);
+    expect(validate('jane@example.com', { type: 'email' })).toEqual([]);
+    expect(validate('(650) 253-0000', { type: 'phone' })).toEqual([]);
+    expect(validate('123-45-6789', { type: 'ssn' })).toEqual([]);
+    expect(validate('CA', { allowedValues: 'ca, NY' })).toEqual([]);
+    expect(validate(false, { required: true })).toEqual([]);
+  });
+
+  it('returns failures for required empty values.', () => {
+    expect(validate('', { required: true, type: 'ssn' })).toEqual([
+      { rule: 'required', message: 'is required' },
+    ]);
+    expect(validate(null, { required: 'TRUE' }).length).toEqual(1);
+    expect(validate(null, { required: false, type: 'ssn' })).toEqual([]);
+  });
+
+  it('returns failures for invalid types.', () => {
+    expect(validate('2022-02-30', { type: 'date' })).toEqual([
+      { rule: 'type', message: 'is not a valid date' },
+    ]);
+    expect(validate('12a', { type: 'number' }).length).toEqual(1);
+    expect(validate('jane@example', { type: 'email' }).length).toEqual(1);
+    expect(validate('555-01', { type: 'phone' }).length).toEqual(1);
+    expect(validate('000-45-6789', { type: 'ssn' }).length).toEqual(1);
+    expect(validate('123-45-678', { type: 'ssn' }).length).toEqual(1);
+    expect(() => validate('x', { type: 'color' })).toThrow(
+      'Unsupported validation type: color');
+  });
+
+  it('returns failures for patterns, ranges and allowed values.', () => {
+    expect(validate('AB-12', { pattern: '^[A-Z]{2}-\\d{3}$' })).toEqual([
+      { rule: 'pattern', message: 'does not match ^[A-Z]{2}-\\d{3}$' },
+    ]);
+    expect(validate('12', { type: 'number', min: 18, max: 99 })).toEqual([
+      { rule: 'min', message: 'is less than 18' },
+    ]);
+    expect(validate('1899-12-31', { type: 'date', min: '1900-01-01' })).toEqual([
+      { rule: 'min', message: 'is less than 1900-01-01' },
+    ]);
+    expect(validate('2030-01-01', { type: 'date', max: new Date(2025, 0, 1) })
+      .map(f => f.rule)).toEqual(['max']);
+    expect(validate('Jane Doe', { min: 2, max: 4 })).toEqual([
+      { rule: 'max', message: 'is longer than 4 characters' },
+    ]);
+    expect(validate('TX', { allowedValues: ['CA', 'NY'] })).toEqual([
+      { rule: 'allowedValues', message: 'is not one of ca, ny' },
+    ]);
+  });
+
+  it('parses numbers and dates.', () => {
+    expect(parseNumber('€ 1.234')).toEqual(1.234);
+    expect(parseNumber('1,234')).toEqual(1234);
+    expect(parseNumber('abc')).toBe(null);
+    expect(parseDate('2022-01-31')).toEqual(new Date(2022, 0, 31).getTime());
+    expect(parseDate('13/01/2022')).toBe(null);
+    expect(parseDate('12345')).toBe(null);
+  });
+});